@@ -1,18 +1,65 @@
 // No external debug module needed - we'll use metalsmith.debug
+import { createHash } from 'node:crypto';
+import { findNode, getAncestors, getDescendants, walk, mapTree, filterTree, flatten } from './tree-utils.js';
+import { renderNav, renderBreadcrumb, escapeHtml, createNavRenderer } from './render.js';
+import { renderSitemaps } from './sitemap.js';
 
 /**
  * @typedef {Object} NavOptions
  * @property {string} [navKey='nav'] - Key in metalsmith metadata for the navigation object
  * @property {string|Function} [navLabelKey='navLabel'] - Frontmatter property to override the default filename-based label, or a function for custom labels
  * @property {string} [navIndexKey='navIndex'] - File property that defines a page's position in navigation
- * @property {boolean} [navExcludeKey='navExclude'] - File property to exclude a page from navigation
+ * @property {boolean} [navExcludeKey='navExclude'] - File property to exclude a page from navigation, or with the value 'tree' the page and all its descendants
+ * @property {string} [navHiddenKey='navHidden'] - File property to leave a page out of menus while keeping it in breadcrumbs, lookups, reading order and the sitemap
+ * @property {boolean} [keepExcludedInContext=false] - Give pages in sections excluded with `navExclude: 'tree'` breadcrumbs and page context
  * @property {string} [breadcrumbKey='breadcrumb'] - Key in file metadata for the breadcrumb path array
+ * @property {string} [navParentKey='parent'] - Frontmatter property (in the navigation object) naming the path or key path of a page's parent
+ * @property {string} [parentKey='parent'] - Key in the file's navigation object for the page's parent node
+ * @property {string} [siblingsKey='siblings'] - Key in the file's navigation object for the page's sibling nodes
+ * @property {string} [childrenKey='children'] - Key in the file's navigation object for the page's child nodes
+ * @property {string} [prevKey='prev'] - Key in the file's navigation object for the previous page in reading order
+ * @property {string} [nextKey='next'] - Key in the file's navigation object for the next page in reading order
+ * @property {string} [positionKey='position'] - Key in the file's navigation object for the page's reading position
+ * @property {string} [prevNextScope='site'] - Reading order across the whole 'site' or within the page's top-level 'section'
+ * @property {string} [navByPathKey] - Metadata key for the path lookup map (defaults to `${navKey}ByPath`)
+ * @property {string} [navByKeyKey] - Metadata key for the key path lookup map (defaults to `${navKey}ByKey`)
+ * @property {boolean|string} [breadcrumbJsonLd=false] - Add schema.org BreadcrumbList JSON-LD to each file, or 'inject' to also add it to the <head> of the contents
+ * @property {string} [breadcrumbJsonLdKey='breadcrumbJsonLd'] - Key in the file's navigation object for the breadcrumb JSON-LD
+ * @property {boolean|Object} [sitemap=false] - Write sitemap.xml from the navigation tree, optionally with sitemap options (requires siteUrl)
+ * @property {boolean|Object} [navJson=false] - Write each tree as JSON into the files object, optionally with `{ dir, shard }` options
+ * @property {string} [navJsonFilesKey='navFiles'] - Metadata key listing the written JSON files with their hashes
+ * @property {boolean|string} [activeNav=false] - Add a per-page view of the navigation with active state, or 'accordion' to only expand the active branch
+ * @property {string} [activeNavKey='nav'] - Key in the file's navigation object for the per-page view of the navigation
+ * @property {boolean|{nav: Object, breadcrumb: Object}} [renderHtml=false] - Render navigation and breadcrumb HTML to each file, with optional render options
+ * @property {string} [htmlKey='html'] - Key in the file's navigation object for the rendered navigation HTML
+ * @property {string} [breadcrumbHtmlKey='breadcrumbHtml'] - Key in the file's navigation object for the rendered breadcrumb HTML
+ * @property {Array<Object>|string} [items] - Manually defined nav items, or the path of a JSON file in the files object that holds them
+ * @property {boolean|Object} [landingPages=false] - Create the missing index.html of directories without an index page, optionally with `{ layout, contents, filter }` options
+ * @property {string} [draftKey='draft'] - File property marking a page as a draft (left out of navigation unless previewing)
+ * @property {string} [publishDateKey='publishDate'] - File property with the date before which a page is left out of navigation
+ * @property {string} [expiryDateKey='expiryDate'] - File property with the date from which a page is left out of navigation
+ * @property {Date|string} [buildDate] - Reference date for publish and expiry dates (defaults to the time of the build)
+ * @property {boolean} [preview=false] - Keep drafts in the navigation, with `draft: true` on their nodes
+ * @property {number} [maxDepth] - Number of levels of published trees, section menus and rendered navigation (all by default)
+ * @property {boolean} [collapseSingleChild=false] - Merge directories without an index page that have a single child into that child
+ * @property {string} [virtualNodes='directory'] - How to link directories without an index page: 'directory', 'firstChild', 'noLink' or 'omit'
  * @property {boolean} [navHomePage=true] - Include home page in breadcrumb
  * @property {string} [navHomeLabel='Home'] - Label for home page in breadcrumb
  * @property {string} [sortBy='navIndex'] - Property to sort navigation items by
  * @property {boolean} [sortReverse=false] - Reverse sort order
  * @property {Function} [pathFilter=null] - Custom function to filter file paths
+ * @property {string|Array<string>} [include] - Glob patterns of files to include in navigation (all files by default)
+ * @property {string|Array<string>} [exclude] - Glob patterns of files to leave out of navigation (404 pages, dotfiles and underscore-prefixed partials by default)
  * @property {boolean} [usePermalinks=true] - Whether to use permalink-style paths (/about/ instead of /about.html)
+ * @property {Function} [urlBuilder=null] - Custom function `(filePath, file, options)` returning the URL path for a file
+ * @property {boolean} [buildFromPermalinks=false] - Build the hierarchy and paths from each file's permalink instead of its source path
+ * @property {string} [permalinkKey='permalink'] - File property holding the permalink when `buildFromPermalinks` is enabled
+ * @property {string} [shape='object'] - Output shape of published trees: 'object', 'array' or 'flat'
+ * @property {Function} [mapNode=null] - Custom function `(node, context)` that transforms each published node
+ * @property {Array<string>} [indexFiles=['index']] - File names that act as a directory's landing page, in priority order
+ * @property {Object.<string, string>} [extensions] - Map of page source extensions to their output extension (e.g. { '.njk': '.html' })
+ * @property {string} [basePath=''] - Path prefix for sites served from a sub-directory (e.g. '/project-name/')
+ * @property {string} [siteUrl=''] - Site origin used to add an absolute `url` to every navigation and breadcrumb item
  */
 
 /**
@@ -21,10 +68,18 @@
  * @property {NavOptions} [options] - Default options for all navigations if configs not provided
  */
 
+/**
+ * @typedef {Object} NavBuild
+ * @property {Object} tree - Navigation tree
+ * @property {{byPath: Object.<string, Object>, byKey: Object.<string, Object>, parents: Map}} navIndex - Lookup maps of the tree, from indexNavTree
+ * @property {Set<string>} excludedPaths - Paths of the pages removed with navExclude: 'tree'
+ * @property {NavBuild|null} contextNav - Build that keeps those pages for their breadcrumbs and page context (keepExcludedInContext)
+ */
+
 /**
  * Creates hierarchical navigation trees and breadcrumb paths from file structure.
- * IMPORTANT: This plugin must be used AFTER the layouts plugin since it expects
- * content files to have been transformed to .html files.
+ * Pages are detected by the `extensions` option (.md and .html by default), so the
+ * plugin can run before or after layouts as long as the source extensions are listed.
  * 
  * This plugin supports both traditional callback-style API and modern Promise-based
  * API for use with async/await in Metalsmith v2.5.0 and above.
@@ -101,6 +156,338 @@ function getNavProperty(file, propKey, options) {
   return undefined;
 }
 
+/**
+ * Get a navigation flag such as navExclude or navHidden
+ * 
+ * Flags are read from the navigation object and, for backward compatibility,
+ * from the file itself.
+ * 
+ * @param {Object} file - The file object
+ * @param {string} propKey - The property key to look for
+ * @param {Object} options - The plugin options
+ * @returns {*} The flag's value, or undefined if it isn't set
+ */
+function getNavFlag(file, propKey, options) {
+  return getNavProperty(file, propKey, options) || file[propKey];
+}
+
+/**
+ * Convert a slug to title case (e.g., "about-us" → "About Us")
+ *
+ * @param {string} str - The slug to convert
+ * @returns {string} The title-cased string
+ */
+function toTitleCase(str) {
+  return str
+    .replace(/-/g, ' ')
+    .replace(/\b\w/g, char => char.toUpperCase());
+}
+
+/**
+ * Build the URL path for a file from its full source path
+ *
+ * Every directory level is kept, so files with the same name in different
+ * directories (docs/guides/setup.md, docs/reference/setup.md) get unique paths.
+ * Directory nodes are passed in as their index page (e.g. docs/guides/index.html)
+ * with a null file object.
+ *
+ * @param {string} filePath - File path relative to the source directory
+ * @param {Object|null} file - The file object, or null for directory nodes
+ * @param {NavOptions} options - Navigation options
+ * @returns {string} Root-relative URL path
+ */
+function buildUrl(filePath, file, options) {
+  const sourcePath = filePath.replace(/\\/g, '/');
+
+  // A custom urlBuilder gets the first say; anything but a string falls back to the default
+  if (typeof options.urlBuilder === 'function') {
+    const customUrl = options.urlBuilder(sourcePath, file, options);
+    if (typeof customUrl === 'string') {
+      return withBasePath(customUrl.startsWith('/') ? customUrl : `/${customUrl}`, options);
+    }
+  }
+
+  const segments = sourcePath.split('/').filter(Boolean);
+  const filename = segments.pop();
+  const baseName = stripPageExtension(filename, options);
+  const outputExtension = getOutputExtension(filename, options);
+  const dirPath = segments.length > 0 ? `/${segments.join('/')}` : '';
+
+  if (isIndexFile(filename, options)) {
+    // For index files, the path is the directory
+    return withBasePath(options.usePermalinks ? `${dirPath}/` : `${dirPath}/index${outputExtension}`, options);
+  }
+
+  // Permalink style: /about/ instead of /about.html
+  return withBasePath(
+    options.usePermalinks ? `${dirPath}/${baseName}/` : `${dirPath}/${baseName}${outputExtension}`,
+    options
+  );
+}
+
+/**
+ * Get the page extension a filename ends with
+ *
+ * Both the source extensions (keys of the extensions option) and their output
+ * extensions count as pages, so autonav works before and after layouts run.
+ * The longest match wins, so '.html.njk' is preferred over '.njk'.
+ *
+ * @param {string} filename - File name or path
+ * @param {NavOptions} options - Navigation options
+ * @returns {string|null} The matching extension, or null if the file is not a page
+ */
+function getPageExtension(filename, options) {
+  const extensions = options.extensions || {};
+  const candidates = Object.keys(extensions).concat(Object.values(extensions));
+
+  return candidates
+    .filter(extension => filename.endsWith(extension))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Get the extension a page will have in the build output
+ *
+ * @param {string} filename - File name or path
+ * @param {NavOptions} options - Navigation options
+ * @returns {string} The output extension (e.g. '.html' for '.md')
+ */
+function getOutputExtension(filename, options) {
+  const extension = getPageExtension(filename, options);
+  if (!extension) {
+    return '';
+  }
+  return options.extensions[extension] || extension;
+}
+
+/**
+ * Remove the page extension from a filename (e.g. "about.njk" → "about")
+ *
+ * @param {string} filename - File name
+ * @param {NavOptions} options - Navigation options
+ * @returns {string} The filename without its page extension
+ */
+function stripPageExtension(filename, options) {
+  const extension = getPageExtension(filename, options);
+  return extension ? filename.slice(0, -extension.length) : filename;
+}
+
+/**
+ * Check whether a path is the site's root index page
+ *
+ * @param {string} filePath - File path relative to the source directory
+ * @param {NavOptions} options - Navigation options
+ * @returns {boolean} True for index.md, index.html, index.njk etc. at the root
+ */
+function isRootIndex(filePath, options) {
+  return !filePath.includes('/') && isIndexFile(filePath, options);
+}
+
+/**
+ * Get the priority of a filename as a directory's landing page
+ *
+ * Names in the indexFiles option match either the name without its page
+ * extension ('README') or the full filename ('default.html'). A file named
+ * index is always a landing page, ranked after the listed names if it isn't
+ * listed itself.
+ *
+ * @param {string} filename - File name
+ * @param {NavOptions} options - Navigation options
+ * @returns {number} Position in indexFiles (lower wins), or -1 if not a landing page
+ */
+function getIndexRank(filename, options) {
+  if (!getPageExtension(filename, options)) {
+    return -1;
+  }
+
+  const baseName = stripPageExtension(filename, options);
+  const indexFiles = options.indexFiles || [];
+  const rank = indexFiles.findIndex(name => name === baseName || name === filename);
+
+  if (rank !== -1) {
+    return rank;
+  }
+  return baseName === 'index' ? indexFiles.length : -1;
+}
+
+/**
+ * Check whether a filename is a directory's landing page
+ *
+ * @param {string} filename - File name or path
+ * @param {NavOptions} options - Navigation options
+ * @returns {boolean} True for index files and names listed in indexFiles
+ */
+function isIndexFile(filename, options) {
+  return getIndexRank(filename.split('/').pop(), options) !== -1;
+}
+
+/**
+ * Prefix a root-relative path with the configured basePath
+ *
+ * Generated paths are always prefixed, even when a directory is named like
+ * the basePath (a docs/ section under '/docs/' is served at /docs/docs/).
+ *
+ * @param {string} urlPath - Root-relative URL path (starting with /)
+ * @param {NavOptions} options - Navigation options
+ * @returns {string} The path served under the basePath
+ */
+function withBasePath(urlPath, options) {
+  // Normalize '/project-name/', 'project-name' etc. to '/project-name'
+  const basePath = (options.basePath || '').replace(/^\/*/, '/').replace(/\/+$/, '');
+  return basePath ? `${basePath}${urlPath}` : urlPath;
+}
+
+/**
+ * Prefix a user-supplied site path with the configured basePath
+ *
+ * Paths from the options and frontmatter (item URLs, parents, section menus)
+ * may be given with or without the basePath, so paths that already start
+ * with it are returned unchanged.
+ *
+ * @param {string} urlPath - Root-relative URL path (starting with /)
+ * @param {NavOptions} options - Navigation options
+ * @returns {string} The path served under the basePath
+ */
+function withUserBasePath(urlPath, options) {
+  const basePath = withBasePath('', options);
+  if (!basePath || urlPath === basePath || urlPath.startsWith(`${basePath}/`)) {
+    return urlPath;
+  }
+  return withBasePath(urlPath, options);
+}
+
+/**
+ * Add an absolute `url` to a navigation or breadcrumb item when siteUrl is set
+ *
+ * @param {Object} item - Item with a root-relative `path`
+ * @param {NavOptions} options - Navigation options
+ * @returns {Object} The same item
+ */
+function addAbsoluteUrl(item, options) {
+  // Items without a path (e.g. unlinked directory levels) have nothing to link to
+  if (options.siteUrl && item.path) {
+    item.url = `${options.siteUrl.replace(/\/+$/, '')}${item.path}`;
+  }
+  return item;
+}
+
+/**
+ * Get the path that places a file in the navigation hierarchy
+ *
+ * This is the source path unless `buildFromPermalinks` is enabled and the file
+ * has a permalink, in which case the permalink is used as the page's directory
+ * (e.g. a permalink of `/blog/hello/` becomes blog/hello/index.html).
+ *
+ * @param {string} filePath - File path relative to the source directory
+ * @param {Object} file - The file object
+ * @param {NavOptions} options - Navigation options
+ * @returns {string} Path used for tree placement, URLs and breadcrumbs
+ */
+function getTreePath(filePath, file, options) {
+  const sourcePath = filePath.replace(/\\/g, '/');
+  const permalink = options.buildFromPermalinks && file ? file[options.permalinkKey] : undefined;
+
+  // Fall back to the source path when no permalink is set
+  if (typeof permalink !== 'string') {
+    return sourcePath;
+  }
+
+  const permalinkPath = permalink.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  if (!permalinkPath) {
+    return 'index.html';
+  }
+
+  // Permalinks pointing at a file are used as-is, anything else is a directory
+  return getPageExtension(permalinkPath, options) ? permalinkPath : `${permalinkPath}/index.html`;
+}
+
+/**
+ * Add the include and exclude glob patterns to the pathFilter option
+ *
+ * Patterns are matched once per build with Metalsmith's own matcher
+ * (`metalsmith.match`, Metalsmith 2.5+), so they behave like the patterns of
+ * other Metalsmith plugins. Files matching no include pattern or any exclude
+ * pattern are skipped like files rejected by pathFilter. Files added later in
+ * the build, such as generated landing pages, aren't filtered.
+ *
+ * @param {NavOptions} options - Navigation options
+ * @param {Object} files - Metalsmith files object
+ * @param {import('metalsmith')} metalsmith - Metalsmith instance
+ * @param {Function} debug - Debug function
+ * @returns {NavOptions} The options, with a pathFilter that applies the patterns
+ */
+function withPathPatterns(options, files, metalsmith, debug) {
+  const include = [].concat(options.include || []);
+  const exclude = [].concat(options.exclude || []);
+  if (include.length === 0 && exclude.length === 0) {
+    return options;
+  }
+  if (typeof metalsmith.match !== 'function') {
+    debug('metalsmith.match is not available (Metalsmith 2.5+ required), ignoring include and exclude patterns');
+    return options;
+  }
+  
+  const filePaths = Object.keys(files);
+  const known = new Set(filePaths);
+  const included = include.length > 0 ? new Set(metalsmith.match(include, filePaths)) : known;
+  const excluded = new Set(exclude.length > 0 ? metalsmith.match(exclude, filePaths) : []);
+  const { pathFilter } = options;
+  
+  return {
+    ...options,
+    pathFilter: (filePath, file) => {
+      if (known.has(filePath) && (!included.has(filePath) || excluded.has(filePath))) {
+        return false;
+      }
+      return pathFilter ? pathFilter(filePath, file) : true;
+    }
+  };
+}
+
+/**
+ * Read a date from a frontmatter value
+ *
+ * @param {string|number|Date} value - Date, date string or timestamp
+ * @param {string} name - Option or property name, for the error message
+ * @param {string} [filePath] - File the value comes from, for the error message
+ * @returns {Date} The date
+ */
+function toDate(value, name, filePath) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const source = filePath ? ` in "${filePath}"` : '';
+    throw new Error(`metalsmith-autonav: invalid ${name} "${value}"${source}`);
+  }
+  return date;
+}
+
+/**
+ * Check whether a page is a draft or outside its publishing window
+ *
+ * Pages are scheduled until their publish date and expired from their expiry
+ * date on, both compared with the build date.
+ *
+ * @param {string} filePath - File path relative to the source directory
+ * @param {Object} file - The file object
+ * @param {NavOptions} options - Navigation options
+ * @param {Date} buildDate - Reference date of the build
+ * @returns {string|null} 'draft', 'scheduled' or 'expired', or null for published pages
+ */
+function getPublishState(filePath, file, options, buildDate) {
+  if (file[options.draftKey] === true) {
+    return 'draft';
+  }
+  const publishDate = file[options.publishDateKey];
+  if (publishDate && toDate(publishDate, options.publishDateKey, filePath) > buildDate) {
+    return 'scheduled';
+  }
+  const expiryDate = file[options.expiryDateKey];
+  if (expiryDate && toDate(expiryDate, options.expiryDateKey, filePath) <= buildDate) {
+    return 'expired';
+  }
+  return null;
+}
+
 function autonav(options = {}) {
   // Default options for a single navigation
   const defaultOpts = {
@@ -109,14 +496,58 @@ function autonav(options = {}) {
     navLabelKey: 'navLabel', // Frontmatter property to override the default filename-based label
     navIndexKey: 'navIndex',
     navExcludeKey: 'navExclude',
+    navHiddenKey: 'navHidden', // Keeps a page out of menus only
     breadcrumbKey: 'breadcrumb',
+    navParentKey: 'parent', // Frontmatter parent override (a path or key path string)
+    parentKey: 'parent',
+    siblingsKey: 'siblings',
+    childrenKey: 'children',
+    navByPathKey: null, // Defaults to `${navKey}ByPath`
+    navByKeyKey: null, // Defaults to `${navKey}ByKey`
+    breadcrumbJsonLd: false, // true, or 'inject' to also add it to the <head> of the contents
+    breadcrumbJsonLdKey: 'breadcrumbJsonLd',
+    sitemap: false, // true, or { path, changefreq, priority, limit, ...Key } sitemap options
+    navJson: false, // true, or { dir, shard } options
+    navJsonFilesKey: 'navFiles',
+    activeNav: false, // true, or 'accordion' to only expand the active branch
+    activeNavKey: 'nav',
+    renderHtml: false, // true, or { nav, breadcrumb } render options
+    htmlKey: 'html',
+    breadcrumbHtmlKey: 'breadcrumbHtml',
+    prevKey: 'prev',
+    nextKey: 'next',
+    positionKey: 'position',
+    prevNextScope: 'site', // 'site' or 'section' (the page's top-level section)
     navHomePage: true,
     navHomeLabel: 'Home',
     sortBy: 'navIndex',
     sortReverse: false,
     pathFilter: null,
+    include: null, // Glob patterns of files to include, all files by default
+    // Glob patterns of files to leave out: 404 pages, dotfiles and underscore-prefixed partials
+    exclude: ['**/404.*', '**/.*', '**/.*/**', '**/_*', '**/_*/**', '!**/_index.*'],
     usePermalinks: true,
+    urlBuilder: null, // Custom function to build a file's URL path
+    buildFromPermalinks: false, // Build the hierarchy from permalinks instead of source paths
+    permalinkKey: 'permalink',
+    extensions: { '.md': '.html', '.html': '.html' }, // Page source extensions and their output extension
+    indexFiles: ['index'], // Names of directory landing pages, in priority order
+    basePath: '', // Path prefix for sub-directory deployments
+    siteUrl: '', // Origin for absolute URLs
+    shape: 'object', // Output shape of published trees: 'object', 'array' or 'flat'
+    mapNode: null, // Custom function to transform each published node
     // Removed activeClass and activeTrailClass options as they're not useful in static site context
+    maxDepth: null, // Number of levels of published trees and section menus
+    collapseSingleChild: false, // Merge single-child directories into their child
+    keepExcludedInContext: false, // Breadcrumbs and page context for sections excluded with navExclude: 'tree'
+    draftKey: 'draft', // Frontmatter flag for drafts
+    publishDateKey: 'publishDate', // Frontmatter date before which a page is left out
+    expiryDateKey: 'expiryDate', // Frontmatter date from which a page is left out
+    buildDate: null, // Reference date for publish and expiry dates, defaults to now
+    preview: false, // Keep drafts in the navigation, flagged draft: true
+    landingPages: false, // true, or { layout, contents, filter } options
+    virtualNodes: 'directory', // Directories without an index page: 'directory', 'firstChild', 'noLink' or 'omit'
+    items: null, // Manual nav items: [{ title, url, index, parent, external, target, rel }] or a JSON file path
     sectionMenus: null // Object mapping section paths to menu keys
   };
 
@@ -140,23 +571,38 @@ function autonav(options = {}) {
           
           debug('Multiple navigation configurations detected: %O', Object.keys(options.configs));
           
+          // Read parent overrides before any configuration writes its page context
+          const parentOverrides = {};
+          for (const configName of Object.keys(options.configs)) {
+            parentOverrides[configName] = readParentOverrides(files, {
+              ...defaultOpts,
+              ...options.options,
+              ...options.configs[configName]
+            });
+          }
+          
           // Process each navigation configuration
           for (const configName of Object.keys(options.configs)) {
             debug('Processing config: %s', configName);
-            const configOpts = {
+            const configOpts = withPathPatterns({
               ...defaultOpts,
               ...options.options, // Global options if provided
               ...options.configs[configName] // Config-specific options
-            };
+            }, files, metalsmith, debug);
             
             debug('Building navigation for config "%s" with options: %O', configName, configOpts);
             
             // Build navigation tree for this config
-            const navTree = buildNavTree(files, configOpts, debug);
+            const nav = buildNavTree(files, configOpts, debug, parentOverrides[configName]);
+            const { tree: navTree, navIndex } = nav;
             
             // Add to metalsmith metadata
-            metalsmith.metadata()[configOpts.navKey] = navTree;
+            metalsmith.metadata()[configOpts.navKey] = shapeTree(navTree, configOpts);
             debug('Added navigation tree for "%s" to metalsmith metadata key: %s', configName, configOpts.navKey);
+            
+            // Publish the path and key lookup maps for this config
+            metalsmith.metadata()[configOpts.navByPathKey || `${configOpts.navKey}ByPath`] = navIndex.byPath;
+            metalsmith.metadata()[configOpts.navByKeyKey || `${configOpts.navKey}ByKey`] = navIndex.byKey;
           
           // Note structure of main navigation if debugging enabled
           if (configName.toLowerCase() === 'main') {
@@ -165,7 +611,38 @@ function autonav(options = {}) {
           }
             
             // Generate breadcrumbs for this config
-            generateBreadcrumbs(files, navTree, configOpts, debug);
+            generateBreadcrumbs(files, nav, configOpts, debug);
+            
+            // Add breadcrumb structured data for this config if enabled
+            if (configOpts.breadcrumbJsonLd) {
+              generateBreadcrumbJsonLd(files, nav, configOpts, debug);
+            }
+            
+            // Add parent, siblings and children to each file for this config
+            generatePageContext(files, nav, configOpts, debug);
+            
+            // Add previous/next links to each file for this config
+            generateReadingOrder(files, nav, configOpts, debug);
+            
+            // Add the per-page view of the navigation with active state for this config if enabled
+            if (configOpts.activeNav) {
+              generateActiveNav(files, nav, configOpts, debug);
+            }
+            
+            // Render navigation and breadcrumb HTML for this config if enabled
+            if (configOpts.renderHtml) {
+              generateHtml(files, nav, configOpts, debug);
+            }
+            
+            // Write the sitemap from this config's tree if enabled
+            if (configOpts.sitemap) {
+              generateSitemap(files, nav, configOpts, debug);
+            }
+            
+            // Write this config's tree as JSON for client-side menus if enabled
+            if (configOpts.navJson) {
+              writeNavJson(files, configName, navTree, configOpts, metalsmith.metadata());
+            }
             
             // Generate section-specific menus from this navigation tree
             // We'll use either the 'main' config or the first config if 'main' doesn't exist
@@ -183,69 +660,10 @@ function autonav(options = {}) {
                 debug('Creating section menu for %s as %s from %s navigation', sectionPath, menuKey, configName);
                 
                 // Find the section in the nav tree
-                let sectionNode = null;
-                
-                // Handle root sections (simple string match at top level)
-                if (sectionPath === '/') {
-                  sectionNode = navTree;
-                } else {
-                  // Normalize the section path to ensure it starts and ends with /
-                  const normalizedSectionPath = 
-                    sectionPath.startsWith('/') ? sectionPath : `/${sectionPath}`;
-                  
-                  // First try to find a direct match in the tree (faster)
-                  // Since our tree is now flat at the top level for common sections
-                  debug('Looking for section path: %s', normalizedSectionPath);
-                  
-                  // A special check for common naming patterns
-                  const sectionKey = sectionPath.replace(/^\/|\/$/g, '');
-                  debug('Extracted section key: %s', sectionKey);
-                  
-                  // First try finding by key directly
-                  if (navTree[sectionKey]) {
-                    debug('Found section by key: %s', sectionKey);
-                    sectionNode = navTree[sectionKey];
-                  } else {
-                    // Try finding by path
-                    for (const key in navTree) {
-                      debug('Comparing with node "%s" path: %s', key, navTree[key].path);
-                      
-                      if (navTree[key].path === normalizedSectionPath) {
-                        debug('Match found for path %s in node %s', normalizedSectionPath, key);
-                        sectionNode = navTree[key];
-                        break;
-                      }
-                    }
-                  }
-                  
-                  // If not found directly, search more thoroughly
-                  if (!sectionNode) {
-                    // Use find function to navigate the tree (simpler than recursion here)
-                    const findSection = (tree, path) => {
-                      for (const key in tree) {
-                        const item = tree[key];
-                        
-                        // If this item's path matches the section path
-                        if (item.path === normalizedSectionPath || 
-                            (normalizedSectionPath.endsWith('/') && 
-                             item.path === normalizedSectionPath.slice(0, -1))) {
-                          return item;
-                        }
-                        
-                        // Check children
-                        if (item.children && Object.keys(item.children).length > 0) {
-                          const found = findSection(item.children, path);
-                          if (found) {
-                            return found;
-                          }
-                        }
-                      }
-                      return null;
-                    };
-                    
-                    sectionNode = findSection(navTree, normalizedSectionPath);
-                  }
-                }
+                const sectionNode = sectionPath === '/'
+                  ? navTree
+                  : findSectionNode(navIndex, sectionPath, configOpts);
+                debug('Looking up section %s: %s', sectionPath, sectionNode ? 'found' : 'not found');
                 
                 // If section found, add its children as a new nav tree
                 if (sectionNode) {
@@ -253,7 +671,10 @@ function autonav(options = {}) {
                   
                   if (sectionPath === '/') {
                     // For root, use the entire tree
-                    metalsmith.metadata()[menuKey] = navTree;
+                    metalsmith.metadata()[menuKey] = shapeTree(navTree, configOpts);
+                    if (configOpts.navJson) {
+                      writeNavJson(files, menuKey, navTree, configOpts, metalsmith.metadata());
+                    }
                     debug('Created root menu %s with %d items', menuKey, Object.keys(navTree).length);
                   } else if (sectionNode.children) {
                     // For section paths like /blog/ etc., need to create a proper section menu
@@ -270,7 +691,10 @@ function autonav(options = {}) {
                       Object.keys(sectionMenu).length,
                       Object.keys(sectionMenu).join(', '));
                     
-                    metalsmith.metadata()[menuKey] = sectionMenu;
+                    metalsmith.metadata()[menuKey] = shapeTree(sectionMenu, configOpts);
+                    if (configOpts.navJson) {
+                      writeNavJson(files, menuKey, sectionMenu, configOpts, metalsmith.metadata());
+                    }
                     
                     // Additional debugging for section menus if needed
                     if (menuKey.includes('Menu')) {
@@ -296,18 +720,54 @@ function autonav(options = {}) {
           }
         } else {
           // Single navigation configuration
-          const opts = { ...defaultOpts, ...options };
+          const opts = withPathPatterns({ ...defaultOpts, ...options }, files, metalsmith, debug);
           debug('Single navigation configuration with options: %O', opts);
           
           // Build navigation tree
-          const navTree = buildNavTree(files, opts, debug);
+          const nav = buildNavTree(files, opts, debug, readParentOverrides(files, opts));
+          const { tree: navTree, navIndex } = nav;
           
           // Add navigation to metalsmith metadata
-          metalsmith.metadata()[opts.navKey] = navTree;
+          metalsmith.metadata()[opts.navKey] = shapeTree(navTree, opts);
           debug('Added navigation tree to metalsmith metadata: %O', navTree);
           
+          // Publish the path and key lookup maps
+          metalsmith.metadata()[opts.navByPathKey || `${opts.navKey}ByPath`] = navIndex.byPath;
+          metalsmith.metadata()[opts.navByKeyKey || `${opts.navKey}ByKey`] = navIndex.byKey;
+          
           // Generate breadcrumbs for each file
-          generateBreadcrumbs(files, navTree, opts, debug);
+          generateBreadcrumbs(files, nav, opts, debug);
+          
+          // Add breadcrumb structured data if enabled
+          if (opts.breadcrumbJsonLd) {
+            generateBreadcrumbJsonLd(files, nav, opts, debug);
+          }
+          
+          // Add parent, siblings and children to each file
+          generatePageContext(files, nav, opts, debug);
+          
+          // Add previous/next links to each file
+          generateReadingOrder(files, nav, opts, debug);
+          
+          // Add the per-page view of the navigation with active state if enabled
+          if (opts.activeNav) {
+            generateActiveNav(files, nav, opts, debug);
+          }
+          
+          // Render navigation and breadcrumb HTML if enabled
+          if (opts.renderHtml) {
+            generateHtml(files, nav, opts, debug);
+          }
+          
+          // Write the sitemap if enabled
+          if (opts.sitemap) {
+            generateSitemap(files, nav, opts, debug);
+          }
+          
+          // Write the tree as JSON for client-side menus if enabled
+          if (opts.navJson) {
+            writeNavJson(files, 'main', navTree, opts, metalsmith.metadata());
+          }
           
           // Generate section-specific menus if configured
           // Handle sectionMenus for both global config (opts.sectionMenus) and top-level config (options.sectionMenus)
@@ -321,62 +781,18 @@ function autonav(options = {}) {
               debug('Creating section menu for %s as %s', sectionPath, menuKey);
               
               // Find the section in the nav tree
-              let sectionNode = null;
-              
-              // Handle root sections (simple string match at top level)
-              if (sectionPath === '/') {
-                sectionNode = navTree;
-              } else {
-                // Normalize the section path to ensure it starts and ends with /
-                const normalizedSectionPath = 
-                  sectionPath.startsWith('/') ? sectionPath : `/${sectionPath}`;
-                
-                // First try to find a direct match in the tree (faster)
-                // Since our tree is now flat at the top level for common sections
-                for (const key in navTree) {
-                  if (navTree[key].path === normalizedSectionPath) {
-                    sectionNode = navTree[key];
-                    break;
-                  }
-                }
-                
-                // If not found directly, search more thoroughly
-                if (!sectionNode) {
-                  // Use find function to navigate the tree (simpler than recursion here)
-                  const findSection = (tree, path) => {
-                    for (const key in tree) {
-                      const item = tree[key];
-                      
-                      // If this item's path matches the section path
-                      debug('Deep search - Comparing %s with %s', item.path, normalizedSectionPath);
-                      
-                      if (item.path === normalizedSectionPath || 
-                          (normalizedSectionPath.endsWith('/') && 
-                           item.path === normalizedSectionPath.slice(0, -1))) {
-                        debug('Deep match found for %s', normalizedSectionPath);
-                        return item;
-                      }
-                      
-                      // Check children
-                      if (item.children && Object.keys(item.children).length > 0) {
-                        const found = findSection(item.children, path);
-                        if (found) {
-                          return found;
-                        }
-                      }
-                    }
-                    return null;
-                  };
-                  
-                  sectionNode = findSection(navTree, normalizedSectionPath);
-                }
-              }
+              const sectionNode = sectionPath === '/'
+                ? navTree
+                : findSectionNode(navIndex, sectionPath, opts);
               
               // If section found, add its children as a new nav tree
               if (sectionNode) {
                 if (sectionPath === '/') {
                   // For root, use the entire tree
-                  metalsmith.metadata()[menuKey] = navTree;
+                  metalsmith.metadata()[menuKey] = shapeTree(navTree, opts);
+                  if (opts.navJson) {
+                    writeNavJson(files, menuKey, navTree, opts, metalsmith.metadata());
+                  }
                 } else if (sectionNode.children) {
                   // For section paths like /blog/ etc., need to create a proper section menu
                   // First find the section key from the path (e.g., 'blog' from '/blog/')
@@ -390,7 +806,10 @@ function autonav(options = {}) {
                     sectionMenu[childKey] = sectionNode.children[childKey];
                   }
                   
-                  metalsmith.metadata()[menuKey] = sectionMenu;
+                  metalsmith.metadata()[menuKey] = shapeTree(sectionMenu, opts);
+                  if (opts.navJson) {
+                    writeNavJson(files, menuKey, sectionMenu, opts, metalsmith.metadata());
+                  }
                 }
                 debug('Created section menu %s with %d items', 
                      menuKey, 
@@ -426,32 +845,40 @@ function autonav(options = {}) {
 /**
  * Build navigation tree from files
  * 
+ * Pages excluded with `navExclude: 'tree'` are removed with all their
+ * descendants. With keepExcludedInContext, a second tree that keeps them is
+ * built for their breadcrumbs and page context (see getContextTrail). The
+ * tree is returned with its lookup maps and both of these, for the generate
+ * functions to read.
+ * 
  * @param {Object} files - Metalsmith files object
  * @param {NavOptions} options - Navigation options
  * @param {Function} debug - Debug function
- * @returns {Object} Navigation tree
+ * @param {Object.<string, string>} [parentOverrides] - Parent overrides from readParentOverrides
+ * @param {boolean} [keepExcludedTrees=false] - Keep the sections excluded with navExclude: 'tree'
+ * @returns {NavBuild} The navigation tree and what was removed from it
  */
-function buildNavTree(files, options, debug) {
+function buildNavTree(files, options, debug, parentOverrides = {}, keepExcludedTrees = false) {
   // Create a hierarchical structure with pages nested appropriately
   const tree = {};
   const filePaths = Object.keys(files);
   
   debug('Building navigation tree from %d files', filePaths.length);
 
-  // Track index files separately to avoid duplicate entries
-  const indexFiles = {};
-  const regularFiles = {};
+  // Pick a single landing page for directories with several index file candidates
+  const landingPages = findLandingPages(files, options);
   
-  // First pass - separate index files from regular files
-  filePaths.forEach(filePath => {
-    const isIndexFile = filePath.endsWith('index.md') || filePath.endsWith('index.html');
-    if (isIndexFile) {
-      const dirPath = filePath.replace(/index\.(md|html)$/, '');
-      indexFiles[dirPath] = filePath;
-    } else {
-      regularFiles[filePath] = true;
-    }
-  });
+  // Publish and expiry dates are compared with the build date
+  const buildDate = options.buildDate ? toDate(options.buildDate, 'buildDate') : new Date();
+  
+  // Paths of pages whose whole section is excluded
+  const excludedTrees = new Set();
+  
+  // Source directory of each virtual node, see addToTree
+  const virtualDirs = new WeakMap();
+  
+  // Key paths of lifted nodes below the level they were lifted into, see liftChildren
+  const liftedKeys = new WeakMap();
 
   // Sort files if needed
   if (options.sortBy) {
@@ -483,50 +910,53 @@ function buildNavTree(files, options, debug) {
     const file = files[filePath];
     
     // Skip files that should be excluded from navigation
-    // We need to check both locations due to tests being written for direct property access
-    if (getNavProperty(file, options.navExcludeKey, options) || file[options.navExcludeKey]) {
+    // Pages excluding their whole section are added and removed with their descendants later
+    const exclusion = getNavFlag(file, options.navExcludeKey, options);
+    if (exclusion && exclusion !== 'tree') {
       debug('Skipping file excluded from navigation: %s', filePath);
       return;
     }
     
+    // Skip drafts (unless previewing) and pages outside their publishing window
+    const publishState = getPublishState(filePath, file, options, buildDate);
+    if (publishState && !(publishState === 'draft' && options.preview)) {
+      debug('Skipping %s page: %s', publishState, filePath);
+      return;
+    }
+    
     // Skip files filtered by custom pathFilter
     if (options.pathFilter && !options.pathFilter(filePath, file)) {
       debug('Skipping file filtered by custom pathFilter: %s', filePath);
       return;
     }
 
-    // Get file path segments
-    const segments = filePath.split('/');
+    // Skip files that aren't pages (see the extensions option)
+    const sourceFilename = filePath.split('/').pop();
+    if (!getPageExtension(sourceFilename, options)) {
+      return;
+    }
+
+    // Get path segments from where the page ends up (its permalink or its source path)
+    const treePath = getTreePath(filePath, file, options);
+    const segments = treePath.split('/');
     const filename = segments.pop();
-    
-    // Skip if not an HTML file or markdown file (that will become HTML)
-    if (!filename.endsWith('.html') && !filename.endsWith('.md')) {
+
+    // Skip index file candidates that lost to a higher-ranked name in the same directory
+    if (isIndexFile(filename, options) && landingPages[segments.join('/')] !== filePath) {
+      debug('Skipping %s, directory already has landing page %s', filePath, landingPages[segments.join('/')]);
       return;
     }
 
     // Get the navigation title/label with simpler, more direct approach
     let navTitle;
     
-    // Convert filename from slug format to title case (e.g., "about-us" → "About Us")
-    const toTitleCase = (str) => {
-      // Handle index files by using their parent directory name instead
-      if (str === 'index' && segments.length > 0) {
-        return segments[segments.length - 1]
-          .replace(/-/g, ' ')
-          .replace(/\b\w/g, char => char.toUpperCase());
-      }
-      return str
-        .replace(/-/g, ' ')
-        .replace(/\b\w/g, char => char.toUpperCase());
-    };
-    
     // First check if a function was provided
     if (typeof options.navLabelKey === 'function') {
       // Allow for custom label generation via function
-      navTitle = options.navLabelKey(file, filePath, filename);
+      navTitle = options.navLabelKey(file, filePath, sourceFilename);
       
       // Special case for index files at root level to be compatible with tests
-      if ((filePath === 'index.md' || filePath === 'index.html') && !navTitle) {
+      if (isRootIndex(treePath, options) && !navTitle) {
         navTitle = 'Home';
       }
     } else {
@@ -534,7 +964,7 @@ function buildNavTree(files, options, debug) {
       // 1. Use navigation.navLabelKey or file.navLabelKey if present in frontmatter
       // 2. Special case for root index file to be "Home" for tests compatibility
       // 3. Otherwise, use filename converted to title case
-      const baseFilename = filename.replace(/\.(html|md)$/, '');
+      const baseFilename = stripPageExtension(filename, options);
       
       // For all files, check for custom labels first
       // Important: We need to check both the nested and direct paths for tests
@@ -543,76 +973,46 @@ function buildNavTree(files, options, debug) {
       if (customLabel) {
         // Use custom label if provided
         navTitle = customLabel;
-      } else if (baseFilename === 'index' && segments.length === 0) {
+      } else if (isIndexFile(filename, options) && segments.length === 0) {
         // Default root index to "Home" for tests
         navTitle = 'Home';
       } else {
-        // Otherwise, use title case conversion
-        navTitle = toTitleCase(baseFilename);
+        // Otherwise, use title case conversion; index files use their parent directory name
+        navTitle = toTitleCase(isIndexFile(filename, options) ? segments[segments.length - 1] : baseFilename);
       }
     }
     let navIndex = getNavProperty(file, options.navIndexKey, options);
     navIndex = navIndex !== undefined ? navIndex : Infinity;
     
-    // Build path for URL based on permalink preferences
-    let urlPath;
+    // Build path for URL from the full path (honors usePermalinks and urlBuilder)
+    const normalizedPath = buildUrl(treePath, file, options);
     
-    if (options.usePermalinks) {
-      // For permalinks style: /about/ instead of /about.html
-      if (filePath.endsWith('index.md') || filePath.endsWith('index.html')) {
-        // For index files, the path is the directory
-        urlPath = filePath.replace(/index\.(md|html)$/, '');
-      } else {
-        // For other files, create pretty URL by removing extension and adding trailing slash
-        // Make sure to correctly handle the path for nested files
-        urlPath = filePath.replace(/\.(md|html)$/, '/');
-        
-        // Ensure paths don't contain doubled directory names (blogblogpost-1)
-        // First normalize path separators
-        urlPath = urlPath.replace(/\\/g, '/');
-        
-        // Make sure the path starts with the correct parent directory
-        // If this is a file in a directory, split path correctly to rebuild it properly
-        const pathParts = filePath.split('/');
-        if (pathParts.length > 1) {
-          // This is a nested file - like blog/blogpost-1.html
-          const parentDir = pathParts[0]; // e.g., "blog"
-          const fileName = pathParts[pathParts.length-1].replace(/\.(md|html)$/, ''); // e.g., "blogpost-1"
-          
-          // Ensure we preserve the exact original filename in the path
-          // This is important for matching filenames in the navigation structure
-          
-          // Make sure the URL starts with parent directory and preserves the exact original filename
-          if (options.usePermalinks) {
-            urlPath = `/${parentDir}/${fileName}/`;
-          } else {
-            urlPath = `/${parentDir}/${fileName}.html`;
-          }
-        }
-      }
-    } else {
-      // For non-permalink style: /about.html
-      urlPath = filePath.replace(/\.md$/, '.html');
+    if (exclusion === 'tree') {
+      excludedTrees.add(normalizedPath);
     }
     
-    // Normalize the path to ensure it starts with /
-    // Handle nested paths correctly by replacing backslashes with forward slashes
-    // (We already handle this for non-index files above, but need to do it for index files too)
-    urlPath = urlPath.replace(/\\/g, '/');
-    const normalizedPath = urlPath.startsWith('/') ? urlPath : `/${urlPath}`;
-    
     // Create navigation item with only essential properties
-    const navItem = {
+    const navItem = addAbsoluteUrl({
       title: navTitle,
       path: normalizedPath,
       children: {}
-    };
+    }, options);
     
     // Only add index if it exists (for sorting)
     if (navIndex !== undefined && navIndex !== Infinity) {
       navItem.index = navIndex;
     }
     
+    // Drafts kept for preview are flagged for templates
+    if (publishState === 'draft') {
+      navItem.draft = true;
+    }
+    
+    // Hidden pages stay in the tree but are left out of menus
+    if (getNavFlag(file, options.navHiddenKey, options)) {
+      navItem.hidden = true;
+    }
+    
     // Save the normalized path to the file's navigation object for active page detection
     if (!file[options.navigationObjectKey]) {
       file[options.navigationObjectKey] = {};
@@ -623,120 +1023,653 @@ function buildNavTree(files, options, debug) {
     file.path = normalizedPath;
     
     // Add to tree based on path segments
-    addToTree(tree, segments, navItem, filePath, options, debug);
+    addToTree(tree, segments, navItem, treePath, options, virtualDirs);
   });
 
+  // Merge manually defined and external items into the tree
+  if (options.items) {
+    addManualItems(tree, files, options, debug);
+  }
+  
+  // Move pages whose frontmatter names another parent
+  applyParentOverrides(tree, files, parentOverrides, options, debug);
+
   // Remove duplicate entries where pages are their own children
   // This is a post-processing step to clean up the tree
   cleanupTree(tree);
   
+  // Remove sections excluded with navExclude: 'tree'
+  const excludedPaths = keepExcludedTrees ? new Set() : removeExcludedTrees(tree, excludedTrees, debug);
+  
+  // Sort virtual directory nodes by their children's lowest navIndex
+  indexVirtualNodes(tree);
+  
+  // Create landing pages for directories without one
+  if (options.landingPages) {
+    addLandingPages(tree, files, virtualDirs, options, debug);
+  }
+  
   // Sort children in tree
   sortTree(tree, options);
+  
+  // Merge single-child directories into their child
+  if (options.collapseSingleChild) {
+    collapseSingleChildren(tree, liftedKeys);
+  }
+  
+  // Link, unlink or omit virtual directory nodes
+  applyVirtualPolicy(tree, options, liftedKeys);
+  
+  // Add depth, parent path and counts once the structure is final
+  annotateTree(tree);
+  
+  // Keep the excluded sections for their own breadcrumbs and page context
+  const contextNav = options.keepExcludedInContext && excludedTrees.size > 0 && !keepExcludedTrees
+    ? buildNavTree(files, { ...options, landingPages: false }, debug, parentOverrides, true)
+    : null;
 
-  return tree;
+  return { tree, navIndex: indexNavTree(tree), excludedPaths, contextNav };
 }
 
 /**
- * Clean up the navigation tree to remove duplicates and invalid entries
+ * Remove the nodes of pages excluded with navExclude: 'tree', with their descendants
  * 
- * @param {Object} tree - Navigation tree to clean up
+ * @param {Object} tree - Navigation tree level
+ * @param {Set<string>} excludedTrees - Paths of the excluded pages
+ * @param {Function} debug - Debug function
+ * @param {Set<string>} [removed] - Collects the paths of the removed nodes
+ * @returns {Set<string>} Paths of the removed nodes
  */
-function cleanupTree(tree) {
-  // First, collect all unique paths in the tree to detect duplicates
-  const pathMap = new Map();
-  const duplicates = new Set();
-  
-  // Step 1: Collect paths and identify which ones are duplicates
-  const collectPaths = (node, parentPath = '') => {
-    // Process this node
-    if (node.path) {
-      if (pathMap.has(node.path)) {
-        // This is a duplicate path
-        duplicates.add(node.path);
-      } else {
-        // First time seeing this path
-        pathMap.set(node.path, true);
-      }
-    }
-    
-    // Process children if they exist
-    if (node.children) {
-      Object.values(node.children).forEach(childNode => {
-        collectPaths(childNode, node.path);
-      });
+function removeExcludedTrees(tree, excludedTrees, debug, removed = new Set()) {
+  Object.keys(tree).forEach(key => {
+    const node = tree[key];
+    if (excludedTrees.has(node.path)) {
+      debug('Removing excluded section %s', node.path);
+      flatten({ [key]: node }).forEach(removedNode => removed.add(removedNode.path));
+      delete tree[key];
+      return;
     }
-  };
-  
-  // Collect paths for each top-level item
-  Object.values(tree).forEach(node => {
-    collectPaths(node);
+    removeExcludedTrees(node.children || {}, excludedTrees, debug, removed);
   });
+  return removed;
+}
+
+/**
+ * Merge manually defined nav items into the tree
+ * 
+ * `items` is an array of item definitions, or the path of a JSON file in the
+ * files object that holds one. Each item needs a `title` and a `url`; `url`s
+ * starting with '/' are site paths (basePath is added), anything else is used
+ * as is. Items are added at the top level or under the node whose path or key
+ * path matches `parent`, which may be another manual item. An item whose path
+ * matches an existing node at that level is merged into it, so a manual item
+ * can name a directory without an index page.
+ * 
+ * @param {Object} tree - Navigation tree
+ * @param {Object} files - Metalsmith files object
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function addManualItems(tree, files, options, debug) {
+  let items = options.items;
+  if (typeof items === 'string') {
+    const dataFile = files[items];
+    if (!dataFile) {
+      throw new Error(`metalsmith-autonav: nav items file "${items}" not found`);
+    }
+    items = JSON.parse(dataFile.contents.toString());
+  }
+  if (!Array.isArray(items)) {
+    throw new Error('metalsmith-autonav: items must be an array or the path of a JSON file');
+  }
   
-  // Step 2: Fix malformed paths and detect patterns like "/blogblogpost-1/"
-  // before we do deeper duplicate removal
-  const fixMalformedPaths = (node) => {
-    if (!node || !node.children) return;
+  const toNode = (item) => {
+    if (!item || !item.title || !item.url) {
+      throw new Error(`metalsmith-autonav: nav items need a title and a url, got ${JSON.stringify(item)}`);
+    }
+    const isSitePath = item.url.startsWith('/');
+    const node = isSitePath
+      ? addAbsoluteUrl({ title: item.title, path: withUserBasePath(item.url, options) }, options)
+      : { title: item.title, path: item.url, url: item.url };
     
-    // Process each child
-    Object.keys(node.children).forEach(childKey => {
-      const childNode = node.children[childKey];
-      if (!childNode || !childNode.path) return;
+    if (item.index !== undefined) {
+      node.index = item.index;
+    }
+    node.external = item.external !== undefined ? Boolean(item.external) : !isSitePath;
+    ['target', 'rel'].forEach(prop => {
+      if (item[prop]) {
+        node[prop] = item[prop];
+      }
+    });
+    node.manual = true;
+    node.children = {};
+    return node;
+  };
+  
+  // Items may name other manual items as parents, so add them until no more can be placed
+  let pending = items.slice();
+  while (pending.length > 0) {
+    const remaining = pending.filter(item => {
+      const parentNode = item && item.parent ? findTreeNode(tree, item.parent, options) : null;
+      if (item && item.parent && !parentNode) {
+        return true;
+      }
       
-      // Check for patterns like "/blogblogpost-1/" or similar malformed paths
-      const pathParts = childNode.path.split('/').filter(Boolean);
+      const level = parentNode ? parentNode.children : tree;
+      const node = toNode(item);
+      const existingKey = Object.keys(level).find(key => level[key].path === node.path);
+      const key = existingKey || item.key ||
+        item.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
       
-      // Test for directory name repeated in path (e.g., "blogblogpost-1")
-      // This is a common malformed pattern we want to fix
-      if (pathParts.length >= 1) {
-        const firstPart = pathParts[0];
-        
-        if (pathParts.length >= 2) {
-          const secondPart = pathParts[1];
-          
-          // ONLY fix paths that are clearly malformed like "/blogblog/" or "/blogblog "
-          // We need to preserve valid filenames like "blogpost-1" that happen to start with the directory name
-          
-          // First, check for exact directory name duplication - this is the most obvious error case
-          // Example: "/blog/blog/" should be fixed to "/blog/"
-          if (secondPart === firstPart) {
-            childNode.path = `/${firstPart}/`;
-          }
-          // Next, check for directory name immediately followed by the same name - this is likely a path join error
-          // Example: "/blogblog/" should be fixed to "/blog/"
-          else if (secondPart === firstPart + firstPart) {
-            childNode.path = `/${firstPart}/`;
-          }
-          // For truly malformed paths with no separator - look for "/blogblogX" pattern
-          // Do NOT touch legitimate filenames like "blogpost-1" that start with directory name
-          else if (secondPart.startsWith(firstPart) && 
-                   // Only fix paths that don't have a legitimate separator after the firstPart
-                   // A legitimate separator would be: "-", "_", ".", or a digit
-                   !secondPart.substring(firstPart.length, firstPart.length + 1).match(/[-_.0-9]/)) {
-            
-            // Check if this actually looks like a doubled directory error and not a legitimate filename
-            // This is a heuristic - if we're just duplicating the directory with maybe a character or two,
-            // it's probably an error. If it's a substantial word after the prefix, it's probably intentional.
-            const remainder = secondPart.slice(firstPart.length);
-            if (remainder.length <= 2) {
-              // This is likely a path error - fix it
-              const goodPath = `/${firstPart}/${remainder}/`;
-              childNode.path = goodPath;
-            }
-            // Otherwise, leave it alone - it's likely a legitimate filename that happens to start with 
-            // the directory name, like "blog/blogpost-1.html"
-          }
-        }
+      if (level[key]) {
+        // Merge into the existing node, keeping its children
+        const existingChildren = level[key].children || {};
+        Object.assign(level[key], node);
+        level[key].children = existingChildren;
+        delete level[key].virtual;
+      } else {
+        level[key] = node;
+      }
+      debug('Added nav item "%s" at %s', item.title, item.parent || 'the top level');
+      return false;
+    });
+    
+    if (remaining.length === pending.length) {
+      throw new Error(`metalsmith-autonav: parent "${remaining[0].parent}" of nav item "${remaining[0].title}" not found`);
+    }
+    pending = remaining;
+  }
+}
+
+/**
+ * Find a node by path (e.g. '/docs/') or key path (e.g. 'docs/guides')
+ * 
+ * Used while the tree is still being built, before it can be indexed.
+ * 
+ * @param {Object} tree - Navigation tree
+ * @param {string} query - Path or key path
+ * @param {NavOptions} options - Navigation options
+ * @returns {Object|null} The node, or null if there is none
+ */
+function findTreeNode(tree, query, options) {
+  const keyPath = query.replace(/^\/|\/$/g, '');
+  const path = withUserBasePath(query.startsWith('/') ? query : `/${query}`, options);
+  let found = null;
+  
+  walk(tree, (node, context) => {
+    if (!found && (context.keyPath === keyPath || node.path === path)) {
+      found = node;
+    }
+    return !found;
+  });
+  return found;
+}
+
+// Parent overrides read from each file, by navParentKey, see readParentOverrides
+const fileParentOverrides = new WeakMap();
+
+// Parent nodes written to the page context, see generatePageContext
+const writtenParents = new WeakSet();
+
+/**
+ * Read the parent overrides from the pages' frontmatter
+ * 
+ * A string in `navigation.parent` (the navParentKey) names the path or key
+ * path of the node a page should be listed under. They are read before any
+ * tree is built, because the page context later writes its own
+ * `navigation.parent` object. Each override is remembered per file, so
+ * later runs and other plugin instances still find it while that property
+ * holds the parent node autonav wrote. Any other value replaces it, and
+ * removing the property removes the override.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {NavOptions} options - Navigation options
+ * @returns {Object.<string, string>} Map of file paths to parent paths or key paths
+ */
+function readParentOverrides(files, options) {
+  const overrides = {};
+  Object.keys(files).forEach(filePath => {
+    const file = files[filePath];
+    const parent = getNavProperty(file, options.navParentKey, options);
+    const remembered = { ...fileParentOverrides.get(file) };
+    if (typeof parent === 'string') {
+      remembered[options.navParentKey] = parent;
+    } else if (!writtenParents.has(parent)) {
+      // Only the parent node written by an earlier page context stands in for the override
+      delete remembered[options.navParentKey];
+    }
+    fileParentOverrides.set(file, remembered);
+    
+    if (remembered[options.navParentKey]) {
+      overrides[filePath] = remembered[options.navParentKey];
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Move pages under the parent named in their frontmatter
+ * 
+ * The page keeps its path; only its place in the tree changes, and an index
+ * page moves together with its section.
+ * 
+ * @param {Object} tree - Navigation tree
+ * @param {Object} files - Metalsmith files object
+ * @param {Object.<string, string>} parentOverrides - Map of file paths to parent paths or key paths
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function applyParentOverrides(tree, files, parentOverrides, options, debug) {
+  Object.keys(parentOverrides).forEach(filePath => {
+    const file = files[filePath];
+    const parent = parentOverrides[filePath];
+    const pagePath = buildUrl(getTreePath(filePath, file, options), file, options);
+    
+    // Find the page's node and the level that holds it
+    let page = null;
+    walk(tree, (node, { key, parent: parentNode }) => {
+      if (!page && node.path === pagePath) {
+        page = { node, key, level: parentNode ? parentNode.children : tree };
+      }
+      return !page;
+    });
+    
+    // Pages that aren't in the navigation have nothing to move
+    if (!page) {
+      return;
+    }
+    
+    const target = findTreeNode(tree, parent, options);
+    if (!target) {
+      throw new Error(`metalsmith-autonav: parent "${parent}" of "${filePath}" not found`);
+    }
+    let insidePage = target === page.node;
+    walk(page.node.children, (node) => {
+      insidePage = insidePage || node === target;
+      return !insidePage;
+    });
+    if (insidePage) {
+      throw new Error(`metalsmith-autonav: parent "${parent}" of "${filePath}" would create a cycle`);
+    }
+    if (target.children[page.key] && target.children[page.key] !== page.node) {
+      throw new Error(`metalsmith-autonav: parent "${parent}" of "${filePath}" already has an item "${page.key}"`);
+    }
+    
+    delete page.level[page.key];
+    target.children[page.key] = page.node;
+    debug('Moved %s under %s', filePath, parent);
+  });
+}
+
+/**
+ * Give virtual directory nodes the lowest index of their children
+ * 
+ * Virtual nodes (directories without an index page) have no navIndex of their
+ * own, so without this they would always sort last.
+ * 
+ * @param {Object} tree - Navigation tree level
+ */
+function indexVirtualNodes(tree) {
+  Object.keys(tree).forEach(key => {
+    const node = tree[key];
+    const children = node.children || {};
+    
+    // Children first, so nested virtual nodes have their index already
+    indexVirtualNodes(children);
+    
+    if (node.virtual && node.index === undefined) {
+      const indexes = Object.keys(children)
+        .map(childKey => children[childKey].index)
+        .filter(index => typeof index === 'number');
+      if (indexes.length > 0) {
+        node.index = Math.min(...indexes);
       }
+    }
+  });
+}
+
+/**
+ * Create the missing landing pages of virtual directory nodes in the files object
+ * 
+ * Each page is written to `<dir>/index.html` with a title, the configured
+ * layout and contents, and the node's navIndex, so later configurations sort
+ * the section the same way. Its node stops being virtual; the page context
+ * fills in `navigation.children` for the layout's listing. Directories with an
+ * index file in the files object are skipped, even when that page is left out
+ * of the navigation, so it's never overwritten.
+ * 
+ * Landing page options:
+ * - layout: layout of the generated pages (left unset by default)
+ * - contents: contents of the pages, or a function `(node, dirPath)` returning them
+ * - filter: directory paths that get a page, or a function `(dirPath, node)` returning true for them
+ * 
+ * @param {Object} tree - Navigation tree
+ * @param {Object} files - Metalsmith files object
+ * @param {WeakMap<Object, string>} virtualDirs - Source directory of each virtual node, from addToTree
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function addLandingPages(tree, files, virtualDirs, options, debug) {
+  const landingOpts = {
+    layout: null,
+    contents: '',
+    filter: null,
+    ...(typeof options.landingPages === 'object' ? options.landingPages : {})
+  };
+  
+  const qualifies = (dirPath, node) => {
+    if (typeof landingOpts.filter === 'function') {
+      return landingOpts.filter(dirPath, node);
+    }
+    if (Array.isArray(landingOpts.filter)) {
+      return landingOpts.filter.some(entry => String(entry).replace(/^\/+|\/+$/g, '') === dirPath);
+    }
+    return true;
+  };
+  
+  // Directories with an index page of their own, even one that's a draft or excluded
+  const existingLandingPages = findLandingPages(files, options);
+  
+  walk(tree, (node) => {
+    const dirPath = virtualDirs.get(node);
+    const filePath = `${dirPath}/index.html`;
+    
+    // Leave directories with an index page and nodes that borrowed a page alone
+    if (!node.virtual || dirPath === undefined || files[filePath] || existingLandingPages[dirPath] ||
+        !qualifies(dirPath, node)) {
+      return;
+    }
+    
+    const contents = typeof landingOpts.contents === 'function'
+      ? landingOpts.contents(node, dirPath)
+      : landingOpts.contents;
+    const file = {
+      title: node.title,
+      contents: Buffer.from(contents || ''),
+      [options.navigationObjectKey]: {
+        path: node.path,
+        ...(node.index !== undefined ? { [options.navIndexKey]: node.index } : {})
+      },
+      path: node.path
+    };
+    if (landingOpts.layout) {
+      file.layout = landingOpts.layout;
+    }
+    files[filePath] = file;
+    
+    delete node.virtual;
+    debug('Created landing page %s', filePath);
+  });
+}
+
+/**
+ * Replace a node with its children, in the node's place in its level
+ * 
+ * A child whose key is already used by a sibling of the node keeps its key
+ * path below the level instead (e.g. 'api/v1/intro' next to 'intro'), so no
+ * page is dropped.
+ * 
+ * @param {Object} level - Tree level holding the node
+ * @param {Object} node - The node to replace
+ * @param {WeakMap<Object, string>} liftedKeys - Key paths of the nodes lifted so far, updated for the children
+ */
+function liftChildren(level, node, liftedKeys) {
+  // Rebuild the level so the children take the node's position
+  const entries = Object.entries(level);
+  entries.forEach(([entryKey]) => delete level[entryKey]);
+  entries.forEach(([entryKey, entryNode]) => {
+    if (entryNode !== node) {
+      level[entryKey] = entryNode;
+      return;
+    }
+    Object.keys(node.children || {}).forEach(childKey => {
+      const child = node.children[childKey];
+      const keyPath = `${liftedKeys.get(node) || entryKey}/${liftedKeys.get(child) || childKey}`;
+      liftedKeys.set(child, keyPath);
       
-      // Process this node's children recursively
-      fixMalformedPaths(childNode);
+      // Key paths are unique, as they follow the source directories
+      const taken = level[childKey] || entries.some(([otherKey]) => otherKey === childKey && otherKey !== entryKey);
+      level[taken ? keyPath : childKey] = child;
     });
+  });
+}
+
+/**
+ * Merge virtual directory nodes that have a single child into that child
+ * 
+ * The child takes the directory's place, so chains like api/v2/reference
+ * become one node. Breadcrumbs follow, as they are read from the tree.
+ * 
+ * @param {Object} tree - Navigation tree level
+ * @param {WeakMap<Object, string>} liftedKeys - Key paths of lifted nodes, see liftChildren
+ */
+function collapseSingleChildren(tree, liftedKeys) {
+  Object.keys(tree).forEach(key => {
+    const node = tree[key];
+    
+    // Children first, so whole chains collapse
+    collapseSingleChildren(node.children || {}, liftedKeys);
+    
+    if (node.virtual && Object.keys(node.children || {}).length === 1) {
+      liftChildren(tree, node, liftedKeys);
+    }
+  });
+}
+
+/**
+ * Apply the virtualNodes policy to directory nodes without an index page
+ * 
+ * - 'directory': keep linking to the directory's own URL
+ * - 'firstChild': link to the first child in navigation order
+ * - 'noLink': keep the node without a path, so it renders as plain text
+ * - 'omit': remove the level and list its children in its place
+ * 
+ * Runs on the sorted tree; nodes stay flagged `virtual: true`.
+ * 
+ * @param {Object} tree - Navigation tree level
+ * @param {NavOptions} options - Navigation options
+ * @param {WeakMap<Object, string>} liftedKeys - Key paths of lifted nodes, see liftChildren
+ */
+function applyVirtualPolicy(tree, options, liftedKeys) {
+  const policy = options.virtualNodes;
+  if (!['directory', 'firstChild', 'noLink', 'omit'].includes(policy)) {
+    throw new Error(`metalsmith-autonav: unknown virtualNodes "${policy}", expected 'directory', 'firstChild', 'noLink' or 'omit'`);
+  }
+  if (policy === 'directory') {
+    return;
+  }
+  
+  Object.keys(tree).forEach(key => {
+    const node = tree[key];
+    
+    // Children first, so a virtual first child already has its link
+    applyVirtualPolicy(node.children || {}, options, liftedKeys);
+    
+    if (!node.virtual) {
+      return;
+    }
+    
+    if (policy === 'omit') {
+      liftChildren(tree, node, liftedKeys);
+      return;
+    }
+    
+    const firstChild = policy === 'firstChild' ? Object.values(node.children || {})[0] : null;
+    node.path = firstChild ? firstChild.path : null;
+    if (firstChild && firstChild.url) {
+      node.url = firstChild.url;
+    } else {
+      delete node.url;
+    }
+  });
+}
+
+/**
+ * Add computed metadata to every node in the tree
+ * 
+ * Each node gets its `key`, `depth` (0 for top-level nodes), `parentPath`
+ * (the parent node's path, null at the top level), `hasChildren`,
+ * `childCount` and `descendantCount`.
+ * 
+ * @param {Object} tree - Navigation tree level to annotate
+ * @param {number} [depth=0] - Depth of the nodes at this level
+ * @param {string|null} [parentPath=null] - Path of the parent node
+ * @returns {number} Number of nodes at this level and below
+ */
+function annotateTree(tree, depth = 0, parentPath = null) {
+  let count = 0;
+  
+  Object.keys(tree).forEach(key => {
+    const node = tree[key];
+    const children = node.children || {};
+    // Counts describe the menus, so hidden nodes aren't counted
+    const childCount = Object.keys(children).filter(childKey => !children[childKey].hidden).length;
+    
+    node.key = key;
+    node.depth = depth;
+    node.parentPath = parentPath;
+    node.hasChildren = childCount > 0;
+    node.childCount = childCount;
+    node.descendantCount = annotateTree(children, depth + 1, node.path);
+    
+    if (!node.hidden) {
+      count += 1 + node.descendantCount;
+    }
+  });
+  
+  return count;
+}
+
+/**
+ * Index every node in the tree by path and by key path
+ * 
+ * Key paths join the keys from the top of the tree down to the node with '/'
+ * (e.g. 'blog/2024/post1'), so they are unique even when keys repeat. The
+ * index also maps each node to its key and parent node. buildNavTree indexes
+ * each finished tree once and returns the maps with it.
+ * 
+ * @param {Object} navTree - Navigation tree
+ * @returns {{byPath: Object.<string, Object>, byKey: Object.<string, Object>, parents: Map}} The lookup maps
+ */
+function indexNavTree(navTree) {
+  const byPath = {};
+  const byKey = {};
+  const parents = new Map();
+  
+  walk(navTree, (node, { key, keyPath, parent }) => {
+    // The first node wins if two nodes share a path, except for virtual nodes that borrowed a child's path
+    const borrowed = node.virtual && Object.values(node.children || {}).some(child => child.path === node.path);
+    if (node.path && !borrowed && !byPath[node.path]) {
+      byPath[node.path] = node;
+    }
+    byKey[keyPath] = node;
+    parents.set(node, { key, parent });
+  });
+  
+  return { byPath, byKey, parents };
+}
+
+/**
+ * Find a node in the path index, with or without a trailing slash
+ * 
+ * @param {Object.<string, Object>} byPath - Path lookup map from indexNavTree
+ * @param {string} path - Normalized path to look up
+ * @returns {Object|null} The node, or null if there is none
+ */
+function lookupPath(byPath, path) {
+  if (byPath[path]) {
+    return byPath[path];
+  }
+  const alternative = path.endsWith('/') ? path.slice(0, -1) : `${path}/`;
+  return byPath[alternative] || null;
+}
+
+/**
+ * Find the node for a sectionMenus entry
+ * 
+ * The section is looked up by its normalized path first, then by key path
+ * (e.g. 'blog' or 'docs/guides').
+ * 
+ * @param {{byPath: Object, byKey: Object}} navIndex - Lookup maps from indexNavTree
+ * @param {string} sectionPath - Section path as configured in sectionMenus
+ * @param {NavOptions} options - Navigation options
+ * @returns {Object|null} The section node, or null if there is none
+ */
+function findSectionNode(navIndex, sectionPath, options) {
+  const normalizedSectionPath = withUserBasePath(
+    sectionPath.startsWith('/') ? sectionPath : `/${sectionPath}`, options);
+  const sectionKey = sectionPath.replace(/^\/|\/$/g, '');
+  
+  return lookupPath(navIndex.byPath, normalizedSectionPath) || navIndex.byKey[sectionKey] || null;
+}
+
+/**
+ * Find the landing page for each directory
+ *
+ * When a directory holds more than one index file candidate (e.g. index.md and
+ * README.md), the one listed first in indexFiles wins.
+ *
+ * @param {Object} files - Metalsmith files object
+ * @param {NavOptions} options - Navigation options
+ * @returns {Object.<string, string>} Map of directory path to the winning file path
+ */
+function findLandingPages(files, options) {
+  const candidates = {};
+
+  Object.keys(files).forEach(filePath => {
+    const segments = getTreePath(filePath, files[filePath], options).split('/');
+    const rank = getIndexRank(segments.pop(), options);
+    const dirPath = segments.join('/');
+
+    if (rank !== -1 && (!candidates[dirPath] || rank < candidates[dirPath].rank)) {
+      candidates[dirPath] = { rank, filePath };
+    }
+  });
+
+  const landingPages = {};
+  Object.keys(candidates).forEach(dirPath => {
+    landingPages[dirPath] = candidates[dirPath].filePath;
+  });
+  return landingPages;
+}
+
+/**
+ * Clean up the navigation tree to remove duplicates and invalid entries
+ * 
+ * @param {Object} tree - Navigation tree to clean up
+ */
+function cleanupTree(tree) {
+  // First, collect all unique paths in the tree to detect duplicates
+  const pathMap = new Map();
+  const duplicates = new Set();
+  
+  // Step 1: Collect paths and identify which ones are duplicates
+  const collectPaths = (node, parentPath = '') => {
+    // Process this node
+    if (node.path) {
+      if (pathMap.has(node.path)) {
+        // This is a duplicate path
+        duplicates.add(node.path);
+      } else {
+        // First time seeing this path
+        pathMap.set(node.path, true);
+      }
+    }
+    
+    // Process children if they exist
+    if (node.children) {
+      Object.values(node.children).forEach(childNode => {
+        collectPaths(childNode, node.path);
+      });
+    }
   };
   
-  // Apply fix for malformed paths first
-  fixMalformedPaths({ children: tree });
+  // Collect paths for each top-level item
+  Object.values(tree).forEach(node => {
+    collectPaths(node);
+  });
   
-  // Step 3: Handle duplicates and self-references in the tree
+  // Step 2: Handle duplicates and self-references in the tree
   const removeDuplicates = (node) => {
     if (!node.children) return;
     
@@ -858,157 +1791,102 @@ function cleanupTree(tree) {
 /**
  * Add navigation item to tree at specified path
  * 
+ * Walks the directory segments from the root, creating directory nodes where
+ * they don't exist yet, so files are placed correctly at any depth.
+ * 
  * @param {Object} tree - Navigation tree to add to
- * @param {Array} segments - Path segments
+ * @param {Array} segments - Directory segments of the file path
  * @param {Object} navItem - Navigation item to add
- * @param {string} filePath - Original file path
+ * @param {string} filePath - Tree path of the file (see getTreePath)
  * @param {NavOptions} options - Navigation options
+ * @param {WeakMap<Object, string>} virtualDirs - Collects the source directory of each virtual node
  */
-function addToTree(tree, segments, navItem, filePath, options) {
-  // For root level files (index.html, about.html)
-  if (segments.length === 0) {
-    // Get key from filename (without extension)
-    let key;
-    if (filePath === 'index.html' || filePath === 'index.md') {
-      key = 'home'; // Use 'home' for index files
-    } else {
-      key = filePath.replace(/\.(html|md)$/, '').toLowerCase();
+function addToTree(tree, segments, navItem, filePath, options, virtualDirs) {
+  const filename = filePath.split('/').pop();
+  const baseName = stripPageExtension(filename, options);
+  
+  // Find or create the node for each directory in the path
+  let siblings = tree;
+  let parentNode = null;
+  segments.forEach((segment, depth) => {
+    if (!siblings[segment]) {
+      const dirPath = segments.slice(0, depth + 1).join('/');
+      // Directory nodes are virtual until a page is merged into them
+      siblings[segment] = addAbsoluteUrl({
+        title: toTitleCase(segment),
+        path: buildUrl(`${dirPath}/index.html`, null, options),
+        virtual: true,
+        children: {}
+      }, options);
+      virtualDirs.set(siblings[segment], dirPath);
     }
-    
-    // Add directly to tree (no nesting under children)
-    tree[key] = navItem;
-    return;
-  }
-
-  // Implement a recursive approach for handling nested paths
-  const buildTreeRecursively = (node, pathSegments, depth = 0) => {
-    // Base case - we've reached the end of the path
-    if (depth >= pathSegments.length) {
-      return node;
-    }
-
-    const segment = pathSegments[depth];
-    const isLastSegment = depth === pathSegments.length - 1;
-    const isIndexFile = isLastSegment && (segment === 'index.html' || segment === 'index.md');
-    
-    // Build path up to this point
-    let currentPath = '/';
-    for (let i = 0; i <= depth; i++) {
-      const pathSegment = pathSegments[i].replace(/index\.(html|md)$/, '');
-      if (pathSegment) {
-        currentPath += pathSegment + (i < depth || !options.usePermalinks ? '' : '/');
-      }
-    }
-    
-    // Format path based on permalinks setting
-    let segmentPath = options.usePermalinks 
-      ? currentPath
-      : (isIndexFile ? currentPath : `${currentPath.replace(/\/$/, '')}.html`);
-    
-    if (isIndexFile) {
-      // For index files, update the parent node
-      if (depth > 0) {
-        // Get the parent segment name (the directory that contains this index file)
-        const parentSegment = pathSegments[depth - 1].replace(/\.(html|md)$/, '');
-        
-        // Get or create the parent node
-        if (!node[parentSegment]) {
-          node[parentSegment] = {
-            title: parentSegment.replace(/-/g, ' ').replace(/\b\w/g, char => char.toUpperCase()),
-            path: segmentPath,
-            children: {}
-          };
-        }
-        
-        // Update parent with index file attributes
-        // But preserve existing children
-        const existingChildren = node[parentSegment].children || {};
-        
-        // Update with index file info
-        node[parentSegment].title = navItem.title;
-        node[parentSegment].path = navItem.path;
-        
-        // Keep index property if provided
-        if (navItem.index !== undefined) {
-          node[parentSegment].index = navItem.index;
-        }
-        
-        // Preserve children
-        node[parentSegment].children = existingChildren;
-        
-        return node[parentSegment];
-      } 
-      
-      // Root index file
-      if (!node.home) {
-        node.home = navItem;
+    parentNode = siblings[segment];
+    siblings = parentNode.children;
+  });
+  
+  if (isIndexFile(filename, options)) {
+    // Root index file becomes the 'home' node
+    if (!parentNode) {
+      if (!tree.home) {
+        tree.home = navItem;
       } else {
         // Update existing home node
-        const existingChildren = node.home.children || {};
-        Object.assign(node.home, navItem);
-        node.home.children = existingChildren;
-      }
-      return node.home;
-    } 
-    
-    if (isLastSegment) {
-      // Regular file at the end of the path (e.g., about.html)
-      const key = segment.replace(/\.(html|md)$/, '');
-      
-      // If one level deep, add directly to tree with the correct key
-      if (depth === 0) {
-        node[key] = navItem;
-        return node[key];
-      } 
-      
-      // For files in subdirectories (depth > 0):
-      // Find or create the parent directory node
-      const parentKey = pathSegments[depth - 1].replace(/\.(html|md)$/, '');
-      
-      if (!node[parentKey]) {
-        // Create parent path
-        let parentPath = '/';
-        for (let i = 0; i < depth; i++) {
-          const pathSegment = pathSegments[i].replace(/index\.(html|md)$/, '');
-          if (pathSegment) {
-            parentPath += pathSegment + (options.usePermalinks ? '/' : '');
-          }
-        }
-        
-        node[parentKey] = {
-          title: parentKey.replace(/-/g, ' ').replace(/\b\w/g, char => char.toUpperCase()),
-          path: parentPath,
-          children: {}
-        };
-      }
-      
-      // Add to parent's children, but make sure we're not duplicating
-      // Don't add if this key already exists at top level (which can happen with index.md files)
-      if (!node[parentKey].children[key]) {
-        node[parentKey].children[key] = navItem;
+        const existingChildren = tree.home.children || {};
+        Object.assign(tree.home, navItem);
+        tree.home.children = existingChildren;
       }
-      
-      return node[parentKey].children[key];
-    } 
-    
-    // Intermediate directory in the path
-    const key = segment.replace(/\.(html|md)$/, '');
+      return;
+    }
     
-    // Create node if it doesn't exist
-    if (!node[key]) {
-      node[key] = {
-        title: key.replace(/-/g, ' ').replace(/\b\w/g, char => char.toUpperCase()),
-        path: segmentPath,
-        children: {}
-      };
+    // For index files, update the directory node but preserve its children
+    delete parentNode.virtual;
+    parentNode.title = navItem.title;
+    parentNode.path = navItem.path;
+    if (navItem.url) {
+      parentNode.url = navItem.url;
     }
     
-    // Continue to next level
-    return buildTreeRecursively(node[key].children, pathSegments, depth + 1);
-  };
+    // Keep index property if provided
+    if (navItem.index !== undefined) {
+      parentNode.index = navItem.index;
+    }
+    if (navItem.draft) {
+      parentNode.draft = true;
+    }
+    if (navItem.hidden) {
+      parentNode.hidden = true;
+    }
+    return;
+  }
   
-  // Start recursive tree building
-  buildTreeRecursively(tree, segments.concat(filePath.split('/').pop()), 0);
+  // Root level keys are lowercased, nested keys keep the original filename
+  const key = segments.length === 0 ? baseName.toLowerCase() : baseName;
+  
+  if (siblings[key]) {
+    // A directory with the same name already exists - merge, keeping its children
+    const existingChildren = siblings[key].children || {};
+    Object.assign(siblings[key], navItem);
+    siblings[key].children = existingChildren;
+    delete siblings[key].virtual;
+  } else {
+    siblings[key] = navItem;
+  }
+}
+
+/**
+ * Get the navigation item property to sort by
+ *
+ * Nav items store the navIndex value as `index`, so sorting by the navIndexKey
+ * (the default) sorts by that property.
+ *
+ * @param {NavOptions} options - Navigation options
+ * @returns {string} The property name
+ */
+function getSortProperty(options) {
+  if (!options.sortBy || options.sortBy === options.navIndexKey) {
+    return 'index';
+  }
+  return options.sortBy;
 }
 
 /**
@@ -1039,7 +1917,7 @@ function sortTree(tree, options) {
       // We no longer use isDirectory property, so sorting is purely by index or other properties
       
       // Otherwise, sort by the specified property or index
-      const propName = options.sortBy || 'index';
+      const propName = getSortProperty(options);
       const valueA = itemA[propName] !== undefined ? itemA[propName] : Infinity;
       const valueB = itemB[propName] !== undefined ? itemB[propName] : Infinity;
       
@@ -1071,7 +1949,7 @@ function sortTree(tree, options) {
       // Apply the same sorting logic to children
       childrenArray.sort((a, b) => {
         // Sort by the specified property or index
-        const propName = options.sortBy || 'index';
+        const propName = getSortProperty(options);
         const valueA = a[propName] !== undefined ? a[propName] : Infinity;
         const valueB = b[propName] !== undefined ? b[propName] : Infinity;
         
@@ -1104,139 +1982,578 @@ function sortTree(tree, options) {
 }
 
 
-// The markActiveTrail function has been removed since it's not useful in a static site context
-// Active states must be determined at runtime in the browser, not during build time
+/**
+ * Convert a navigation tree to the output shape set by the shape option
+ *
+ * - 'object' (default): nodes keyed by name, children as objects
+ * - 'array': ordered arrays of `{ key, title, path, children: [...] }`
+ * - 'flat': a single depth-first list with `depth` and `parentPath` on each item
+ *
+ * A mapNode function is called for every node with the shaped node and a
+ * context object `{ key, depth, parentPath, shape }`. Its return value replaces
+ * the node; a falsy value removes the node and its descendants. With maxDepth,
+ * levels below it are left out (depths count from the top of the tree given);
+ * nodes on the last level keep the hasChildren and counts of the full tree.
+ * Hidden nodes (navHidden) are left out with their descendants.
+ *
+ * @param {Object} tree - Navigation tree or subtree in object form
+ * @param {NavOptions} options - Navigation options
+ * @param {number} [startDepth=0] - Depth of the tree's top level, for subtrees of a published tree
+ * @returns {Object|Array} The shaped tree (the tree itself for the plain object shape)
+ */
+function shapeTree(tree, options, startDepth = 0) {
+  const shape = options.shape || 'object';
+  const mapNode = typeof options.mapNode === 'function' ? options.mapNode : null;
+  const maxDepth = options.maxDepth || Infinity;
+
+  if (!['object', 'array', 'flat'].includes(shape)) {
+    throw new Error(`metalsmith-autonav: unknown shape "${shape}", expected 'object', 'array' or 'flat'`);
+  }
+
+  // Nothing to convert - publish the tree as it is
+  if (shape === 'object' && !mapNode && maxDepth === Infinity && !flatten(tree).some(node => node.hidden)) {
+    return tree;
+  }
+
+  const flatList = [];
+
+  const shapeLevel = (level, depth, parentPath) => {
+    const shaped = shape === 'object' ? {} : [];
+    if (depth >= maxDepth) {
+      return shaped;
+    }
+
+    Object.keys(level).forEach(key => {
+      // Hidden nodes are left out of menus with their descendants
+      if (level[key].hidden) {
+        return;
+      }
+      const { children = {}, ...props } = level[key];
+      const context = { key, depth, parentPath, shape };
+
+      if (shape === 'flat') {
+        const flatItem = { key, ...props, depth, parentPath };
+        const item = mapNode ? mapNode(flatItem, context) : flatItem;
+        if (item) {
+          flatList.push(item);
+          shapeLevel(children, depth + 1, props.path);
+        }
+        return;
+      }
+
+      const shapedChildren = shapeLevel(children, depth + 1, props.path);
+      const node = shape === 'array'
+        ? { key, ...props, children: shapedChildren }
+        : { ...props, children: shapedChildren };
+      const item = mapNode ? mapNode(node, context) : node;
+
+      if (!item) {
+        return;
+      }
+      if (shape === 'array') {
+        shaped.push(item);
+      } else {
+        shaped[key] = item;
+      }
+    });
+
+    return shaped;
+  };
+
+  const shapedTree = shapeLevel(tree, startDepth, null);
+  return shape === 'flat' ? flatList : shapedTree;
+}
+
+/**
+ * Find the tree nodes along a page's path
+ * 
+ * Returns one entry per directory level, plus one for the page itself unless
+ * it is an index page (index pages are represented by their directory node).
+ * Entries for levels missing from the tree have a null node.
+ * 
+ * @param {Object} navTree - Navigation tree
+ * @param {string} treePath - The page's tree path (see getTreePath)
+ * @param {NavOptions} options - Navigation options
+ * @returns {Array<{key: string, name: string, path: string, isPage: boolean, node: Object|null}>} The trail
+ */
+function findNodeTrail(navTree, treePath, options) {
+  const segments = treePath.split('/').filter(segment => segment.length > 0);
+  const filename = segments.pop();
+  const trail = [];
+  
+  let siblings = navTree;
+  segments.forEach((segment, depth) => {
+    const node = siblings && siblings[segment] ? siblings[segment] : null;
+    const path = `${segments.slice(0, depth + 1).join('/')}/index.html`;
+    
+    trail.push({ key: segment, name: segment, path, isPage: false, node });
+    siblings = node ? node.children : null;
+  });
+  
+  if (!isIndexFile(filename, options)) {
+    const name = stripPageExtension(filename, options);
+    // Root level keys are lowercased, nested keys keep the original filename
+    const key = segments.length === 0 ? name.toLowerCase() : name;
+    const node = siblings && siblings[key] ? siblings[key] : null;
+    
+    trail.push({ key, name, path: treePath, isPage: true, node });
+  }
+  
+  return trail;
+}
+
+/**
+ * Find the tree nodes from the top of the tree down to a page's own node
+ * 
+ * Pages are looked up by their path, so the trail follows the tree's actual
+ * ancestry (e.g. after a parent override). Pages that aren't in the tree fall
+ * back to findNodeTrail. The root index page is represented by the home node.
+ * 
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {string} filePath - File path relative to the source directory
+ * @param {Object} file - The file object
+ * @param {NavOptions} options - Navigation options
+ * @returns {Array<{key: string, name: string, path: string|null, isPage: boolean, node: Object|null}>} The trail
+ */
+function getPageTrail(nav, filePath, file, options) {
+  const treePath = getTreePath(filePath, file, options);
+  if (isRootIndex(treePath, options)) {
+    return [{ key: 'home', name: 'home', path: treePath, isPage: true, node: nav.tree.home || null }];
+  }
+  
+  const { byPath, parents } = nav.navIndex;
+  const node = byPath[buildUrl(treePath, file, options)];
+  if (!node || !parents.has(node)) {
+    return findNodeTrail(nav.tree, treePath, options);
+  }
+  
+  const trail = [];
+  for (let current = node; current; current = parents.get(current).parent) {
+    const { key } = parents.get(current);
+    trail.unshift({ key, name: key, path: null, isPage: current === node, node: current });
+  }
+  return trail;
+}
+
+/**
+ * Get how a page is excluded from a navigation tree
+ * 
+ * Excluded pages get no breadcrumbs, page context, reading order, active
+ * navigation, HTML or sitemap entry. Pages removed with a section excluded
+ * with `navExclude: 'tree'` count as excluded with 'tree' too.
+ * 
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {string} filePath - File path relative to the source directory
+ * @param {Object} file - The file object
+ * @param {NavOptions} options - Navigation options
+ * @returns {boolean|string} The navExclude value, 'tree', or false for pages that aren't excluded
+ */
+function getPageExclusion(nav, filePath, file, options) {
+  const exclusion = getNavFlag(file, options.navExcludeKey, options);
+  if (exclusion) {
+    return exclusion;
+  }
+  const removed = nav.excludedPaths;
+  if (removed.size > 0 && removed.has(buildUrl(getTreePath(filePath, file, options), file, options))) {
+    return 'tree';
+  }
+  return false;
+}
+
+/**
+ * Whether a page is left out of breadcrumbs and page context
+ * 
+ * Like getPageExclusion, except that sections excluded with
+ * `navExclude: 'tree'` keep them when keepExcludedInContext is set.
+ * 
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {string} filePath - File path relative to the source directory
+ * @param {Object} file - The file object
+ * @param {NavOptions} options - Navigation options
+ * @returns {boolean} True if the page gets no breadcrumbs and page context
+ */
+function isExcludedFromContext(nav, filePath, file, options) {
+  const exclusion = getPageExclusion(nav, filePath, file, options);
+  return Boolean(exclusion) && !(exclusion === 'tree' && options.keepExcludedInContext);
+}
+
+/**
+ * Find the trail of a page for its breadcrumbs and page context
+ * 
+ * Like getPageTrail, except that pages in sections excluded with
+ * `navExclude: 'tree'` are found in the tree that keeps them when
+ * keepExcludedInContext is set.
+ * 
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {string} filePath - File path relative to the source directory
+ * @param {Object} file - The file object
+ * @param {NavOptions} options - Navigation options
+ * @returns {Array<{key: string, name: string, path: string|null, isPage: boolean, node: Object|null}>} The trail
+ */
+function getContextTrail(nav, filePath, file, options) {
+  const trail = getPageTrail(nav, filePath, file, options);
+  const current = trail[trail.length - 1];
+  
+  if (nav.contextNav && !(current && current.node)) {
+    return getPageTrail(nav.contextNav, filePath, file, options);
+  }
+  return trail;
+}
+
+/**
+ * Create a lightweight copy of a node for per-page context (everything but its children)
+ * 
+ * @param {string} key - The node's key in its parent
+ * @param {Object} node - Navigation node
+ * @returns {Object} The copy with a `key` property
+ */
+function toNavLink(key, node) {
+  const link = { key, ...node };
+  delete link.children;
+  return link;
+}
+
+/**
+ * Add the page's parent, siblings and children to each file
+ * 
+ * Writes the parent node to `navigation.parent`, the nodes of the page's level
+ * (including the page itself) to `navigation.siblings` and its child nodes to
+ * `navigation.children`. These are references to the tree's nodes, and pages
+ * on the same level share one siblings list, so memory stays linear on large
+ * sections. Top-level pages have a null parent.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function generatePageContext(files, nav, options, debug) {
+  debug('Generating parent, sibling and child context for files');
+  
+  // One list of node references per tree level, shared by every page that uses it
+  const levelLists = new Map();
+  const listLevel = (level) => {
+    if (!levelLists.has(level)) {
+      levelLists.set(level, Object.keys(level).filter(key => !level[key].hidden).map(key => level[key]));
+    }
+    return levelLists.get(level);
+  };
+  
+  Object.keys(files).forEach(filePath => {
+    const file = files[filePath];
+    
+    // Skip files that should be excluded and files that aren't pages
+    if (isExcludedFromContext(nav, filePath, file, options) || !getPageExtension(filePath, options)) {
+      return;
+    }
+    
+    const trail = getContextTrail(nav, filePath, file, options);
+    const current = trail[trail.length - 1];
+    
+    // Pages that aren't in the tree get no context
+    if (!current || !current.node) {
+      return;
+    }
+    
+    const parent = trail.length > 1 ? trail[trail.length - 2] : null;
+    const siblings = parent ? parent.node.children : nav.tree;
+    
+    if (!file[options.navigationObjectKey]) {
+      file[options.navigationObjectKey] = {};
+    }
+    const navigation = file[options.navigationObjectKey];
+    
+    navigation[options.parentKey] = parent ? parent.node : null;
+    if (parent) {
+      writtenParents.add(parent.node);
+    }
+    navigation[options.siblingsKey] = listLevel(siblings);
+    navigation[options.childrenKey] = listLevel(current.node.children || {});
+  });
+}
+
+/**
+ * Add previous/next links and the reading position to each file
+ * 
+ * The reading order is a depth-first walk of the sorted tree, so a section's
+ * pages follow the section page itself. With `prevNextScope: 'section'` the
+ * sequence is limited to the page's top-level section.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function generateReadingOrder(files, nav, options, debug) {
+  // Walk the tree depth-first into one sequence for the site, or one per top-level section,
+  // remembering each node's place so pages don't have to search for it
+  const sequences = new Map();
+  const positions = new Map();
+  walk(nav.tree, (node, { key, keyPath }) => {
+    // External links and directories without a page are not part of the site's reading order
+    if (node.external || node.virtual) {
+      return;
+    }
+    const scope = options.prevNextScope === 'section' ? keyPath.split('/')[0] : '';
+    if (!sequences.has(scope)) {
+      sequences.set(scope, []);
+    }
+    const sequence = sequences.get(scope);
+    positions.set(node, { sequence, position: sequence.length });
+    sequence.push({ key, node });
+  });
+  
+  debug('Reading order has %d pages in %d sequences', positions.size, sequences.size);
+  
+  Object.keys(files).forEach(filePath => {
+    const file = files[filePath];
+    
+    // Skip files that should be excluded and files that aren't pages
+    if (getPageExclusion(nav, filePath, file, options) || !getPageExtension(filePath, options)) {
+      return;
+    }
+    
+    const trail = getPageTrail(nav, filePath, file, options);
+    const current = trail[trail.length - 1];
+    const place = current && current.node ? positions.get(current.node) : null;
+    
+    // Pages that aren't in the tree get no reading order
+    if (!place) {
+      return;
+    }
+    
+    const { sequence, position } = place;
+    const prev = sequence[position - 1];
+    const next = sequence[position + 1];
+    
+    if (!file[options.navigationObjectKey]) {
+      file[options.navigationObjectKey] = {};
+    }
+    const navigation = file[options.navigationObjectKey];
+    
+    navigation[options.prevKey] = prev ? toNavLink(prev.key, prev.node) : null;
+    navigation[options.nextKey] = next ? toNavLink(next.key, next.node) : null;
+    navigation[options.positionKey] = {
+      current: position + 1,
+      total: sequence.length,
+      label: `${position + 1} of ${sequence.length}`
+    };
+  });
+}
+
+/**
+ * Add a per-page view of the navigation tree with active state to each file
+ * 
+ * Only the nodes on the page's active trail are copied (with `isActive` and
+ * `inActiveTrail` flags); every other subtree is the shared node from the
+ * tree. Each level is one object shared by all pages, and levels on a page's
+ * trail are views of it that only replace the trail node, so memory grows
+ * with the trail length rather than the tree size, even on large flat
+ * sections. With `activeNav: 'accordion'`, nodes off the active trail are
+ * collapsed to copies without children, shared between all pages.
+ * 
+ * Because their parts are shared, the views are read-only: shared levels,
+ * collapsed copies and trail nodes are frozen, and writing to a trail level
+ * throws.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function generateActiveNav(files, nav, options, debug) {
+  const accordion = options.activeNav === 'accordion';
+  const maxDepth = options.maxDepth || Infinity;
+  const collapsedNodes = new Map();
+  const sharedLevels = new Map();
+  
+  // Collapsed copies are created once and shared by every page
+  const collapse = (node) => {
+    if (!node.children || Object.keys(node.children).length === 0) {
+      return node;
+    }
+    if (!collapsedNodes.has(node)) {
+      collapsedNodes.set(node, Object.freeze({ ...node, children: Object.freeze({}) }));
+    }
+    return collapsedNodes.get(node);
+  };
+  
+  // The view of a level off the active trail, created once and shared by every page
+  const sharedLevel = (level, depth) => {
+    if (!sharedLevels.has(level)) {
+      // Nodes on the last level allowed by maxDepth lose their children
+      const lastLevel = depth + 1 >= maxDepth;
+      const view = {};
+      Object.keys(level).forEach(key => {
+        if (!level[key].hidden) {
+          view[key] = accordion || lastLevel ? collapse(level[key]) : level[key];
+        }
+      });
+      sharedLevels.set(level, Object.freeze(view));
+    }
+    return sharedLevels.get(level);
+  };
+  
+  // Levels on the active trail resolve the trail node lazily, so they hold one copy instead of every sibling
+  const buildView = (level, trail, depth, activeNode) => {
+    const shared = sharedLevel(level, depth);
+    const entry = trail.find(item => item.node && level[item.key] === item.node && shared[item.key] !== undefined);
+    if (!entry) {
+      return shared;
+    }
+    
+    const trailNode = Object.freeze({
+      ...entry.node,
+      isActive: entry.node === activeNode,
+      inActiveTrail: true,
+      children: depth + 1 >= maxDepth
+        ? Object.freeze({})
+        : buildView(entry.node.children || {}, trail, depth + 1, activeNode)
+    });
+    const resolve = (key) => (key === entry.key ? trailNode : shared[key]);
+    const readOnly = () => {
+      throw new TypeError('metalsmith-autonav: activeNav views are read-only');
+    };
+    
+    // The proxy's own target stays empty, so its keys aren't bound to the frozen shared level;
+    // util.inspect reads the target directly, so it gets a snapshot of the view to print
+    const view = new Proxy(Object.defineProperty({}, Symbol.for('nodejs.util.inspect.custom'), {
+      value: (inspectDepth, inspectOptions, inspect) => inspect({ ...view }, { ...inspectOptions, depth: inspectDepth }),
+      configurable: true
+    }), {
+      get: (target, key) => resolve(key),
+      has: (target, key) => key in shared,
+      ownKeys: () => Reflect.ownKeys(shared),
+      getOwnPropertyDescriptor: (target, key) => (Object.prototype.hasOwnProperty.call(shared, key)
+        ? { value: resolve(key), writable: false, enumerable: true, configurable: true }
+        : undefined),
+      set: readOnly,
+      defineProperty: readOnly,
+      deleteProperty: readOnly,
+      setPrototypeOf: readOnly,
+      preventExtensions: readOnly
+    });
+    return view;
+  };
+  
+  Object.keys(files).forEach(filePath => {
+    const file = files[filePath];
+    
+    // Skip files that should be excluded and files that aren't pages
+    if (getPageExclusion(nav, filePath, file, options) || !getPageExtension(filePath, options)) {
+      return;
+    }
+    
+    const trail = getPageTrail(nav, filePath, file, options);
+    const current = trail[trail.length - 1];
+    
+    if (!file[options.navigationObjectKey]) {
+      file[options.navigationObjectKey] = {};
+    }
+    file[options.navigationObjectKey][options.activeNavKey] = buildView(
+      nav.tree, trail, 0, current ? current.node : null);
+  });
+  
+  debug('Added active navigation views to %s (%d shared levels, %d shared collapsed nodes)',
+    options.activeNavKey, sharedLevels.size, collapsedNodes.size);
+}
+
+/**
+ * Render the navigation and breadcrumb HTML for each file
+ * 
+ * `renderHtml` is either `true` or an object with `nav` and `breadcrumb`
+ * render options (see render.js). The page's own path is marked as current.
+ * The tree is rendered once; each page only renders its trail again.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function generateHtml(files, nav, options, debug) {
+  const renderOptions = typeof options.renderHtml === 'object' ? options.renderHtml : {};
+  const renderTree = createNavRenderer(nav.tree, {
+    maxDepth: options.maxDepth || undefined,
+    ...renderOptions.nav
+  });
+  
+  Object.keys(files).forEach(filePath => {
+    const file = files[filePath];
+    
+    // Skip files that should be excluded and files that aren't pages
+    if (getPageExclusion(nav, filePath, file, options) || !getPageExtension(filePath, options)) {
+      return;
+    }
+    
+    if (!file[options.navigationObjectKey]) {
+      file[options.navigationObjectKey] = {};
+    }
+    const navigation = file[options.navigationObjectKey];
+    const currentPath = navigation.path;
+    
+    navigation[options.htmlKey] = renderTree(currentPath);
+    navigation[options.breadcrumbHtmlKey] = renderBreadcrumb(file[options.breadcrumbKey], {
+      ...renderOptions.breadcrumb,
+      currentPath
+    });
+  });
+  
+  debug('Rendered navigation HTML to %s and %s', options.htmlKey, options.breadcrumbHtmlKey);
+}
 
 /**
  * Generate breadcrumbs for each file
  * 
+ * Walks the navigation tree along the file's path so every level uses the
+ * title and path of its tree node, falling back to the directory name when
+ * a level is missing from the tree.
+ * 
  * @param {Object} files - Metalsmith files object
- * @param {Object} navTree - Navigation tree
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
  * @param {NavOptions} options - Navigation options
  * @param {Function} debug - Debug function
  */
-function generateBreadcrumbs(files, navTree, options, debug) {
+function generateBreadcrumbs(files, nav, options, debug) {
   debug('Generating breadcrumbs for files with flat structure');
   
   Object.keys(files).forEach(filePath => {
     const file = files[filePath];
     
-    // Skip files that should be excluded
-    if (file[options.navExcludeKey]) {
+    // Skip files that should be excluded and files that aren't pages
+    if (isExcludedFromContext(nav, filePath, file, options) || !getPageExtension(filePath, options)) {
       return;
     }
     
     // Generate breadcrumb path
     const breadcrumb = [];
+    const treePath = getTreePath(filePath, file, options);
     
     // Add home page to breadcrumb if needed (for all files, including index)
     if (options.navHomePage) {
-      const homePath = options.usePermalinks ? '/' : '/index.html';
-      const homeTitle = navTree.home ? navTree.home.title : options.navHomeLabel;
+      const homePath = buildUrl('index.html', null, options);
+      const homeTitle = nav.tree.home ? nav.tree.home.title : options.navHomeLabel;
       
-      breadcrumb.push({
+      breadcrumb.push(addAbsoluteUrl({
         title: homeTitle,
         path: homePath
-      });
+      }, options));
       
       // Special case: if this is the home page itself, we're done
-      if (filePath === 'index.html' || filePath === 'index.md') {
+      if (isRootIndex(treePath, options)) {
         file[options.breadcrumbKey] = breadcrumb;
         debug('Added breadcrumb to index file: %O', breadcrumb);
         return;
       }
     }
     
-    // Split the path into segments
-    const segments = filePath.split('/').filter(segment => segment.length > 0);
-    
-    if (segments.length > 0) {
-      // For top-level files
-      if (segments.length === 1) {
-        const fileSegment = segments[0];
-        const key = fileSegment.replace(/\.(html|md)$/, '').toLowerCase();
-        
-        // Check if we have this page in our navigation
-        if (navTree[key]) {
-          breadcrumb.push({
-            title: navTree[key].title,
-            path: navTree[key].path
-          });
-        } else {
-          // Fallback if not found in navTree
-          const title = fileSegment.replace(/\.(html|md)$/, '')
-            .replace(/-/g, ' ')
-            .replace(/\b\w/g, char => char.toUpperCase());
-            
-          breadcrumb.push({
-            title: title,
-            path: options.usePermalinks 
-              ? `/${fileSegment.replace(/\.(html|md)$/, '')}/` 
-              : `/${fileSegment.replace(/\.md$/, '.html')}`
-          });
-        }
-      } 
-      // For nested files
-      else {
-        // First, add the parent page
-        const parentKey = segments[0];
-        if (navTree[parentKey]) {
-          breadcrumb.push({
-            title: navTree[parentKey].title,
-            path: navTree[parentKey].path
-          });
-          
-          // If this is directly under the parent (e.g., blog/post1.html)
-          if (segments.length === 2 && !segments[1].startsWith('index.')) {
-            const childKey = segments[1].replace(/\.(html|md)$/, '').toLowerCase();
-            
-            // If we have the child in the navTree
-            if (navTree[parentKey].children && navTree[parentKey].children[childKey]) {
-              const child = navTree[parentKey].children[childKey];
-              breadcrumb.push({
-                title: child.title,
-                path: child.path
-              });
-            } else {
-              // Fallback if not found
-              const title = segments[1].replace(/\.(html|md)$/, '')
-                .replace(/-/g, ' ')
-                .replace(/\b\w/g, char => char.toUpperCase());
-                
-              breadcrumb.push({
-                title: title,
-                path: options.usePermalinks 
-                  ? `/${parentKey}/${segments[1].replace(/\.(html|md)$/, '')}/` 
-                  : `/${parentKey}/${segments[1].replace(/\.md$/, '.html')}`
-              });
-            }
-          }
-          // For deeper nesting or index files
-          else {
-            // Skip index files in the last segment
-            const lastSegment = segments[segments.length - 1];
-            const isIndexFile = lastSegment === 'index.html' || lastSegment === 'index.md';
-            
-            // Build the intermediate path if needed (for deep nesting)
-            let currentPath = '/' + parentKey;
-            for (let i = 1; i < segments.length - (isIndexFile ? 1 : 0); i++) {
-              const segment = segments[i];
-              currentPath += '/' + segment.replace(/\.(html|md)$/, '');
-              
-              // Add breadcrumb for this segment
-              breadcrumb.push({
-                title: segment.replace(/\.(html|md)$/, '')
-                  .replace(/-/g, ' ')
-                  .replace(/\b\w/g, char => char.toUpperCase()),
-                path: options.usePermalinks 
-                  ? `${currentPath}/` 
-                  : `${currentPath}.html`
-              });
-            }
-          }
-        }
-      }
-    }
+    // Add a breadcrumb for each ancestor and the page itself
+    const trail = isRootIndex(treePath, options) ? [] : getContextTrail(nav, filePath, file, options);
+    trail.forEach(({ node, name, path, isPage }) => {
+      breadcrumb.push(addAbsoluteUrl(node 
+        ? { title: node.title, path: node.path }
+        // Fallback if not found in navTree
+        : { title: toTitleCase(name), path: buildUrl(path, isPage ? file : null, options) }, options));
+    });
     
     // Add breadcrumb to the navigation object
     if (!file[options.navigationObjectKey]) {
@@ -1249,14 +2566,200 @@ function generateBreadcrumbs(files, navTree, options, debug) {
     // Also add directly to file for backward compatibility with tests
     file[options.breadcrumbKey] = breadcrumb;
     debug('Added breadcrumb to %s: %O', filePath, breadcrumb);
+  });
+}
+
+/**
+ * Add schema.org BreadcrumbList structured data to each file
+ * 
+ * The list is built from the file's breadcrumb trail, with 1-based positions
+ * and absolute item URLs. With `breadcrumbJsonLd: 'inject'`, it is also added
+ * as a JSON-LD script before the closing </head> tag of the file's contents.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function generateBreadcrumbJsonLd(files, nav, options, debug) {
+  if (!options.siteUrl) {
+    throw new Error('metalsmith-autonav: breadcrumbJsonLd requires the siteUrl option for absolute item URLs');
+  }
+  const siteUrl = options.siteUrl.replace(/\/+$/, '');
+  
+  Object.keys(files).forEach(filePath => {
+    const file = files[filePath];
+    const breadcrumb = file[options.breadcrumbKey];
+    
+    // Only files that got a breadcrumb trail
+    if (isExcludedFromContext(nav, filePath, file, options) || !getPageExtension(filePath, options) ||
+        !Array.isArray(breadcrumb)) {
+      return;
+    }
+    
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'BreadcrumbList',
+      itemListElement: breadcrumb.map((item, position) => ({
+        '@type': 'ListItem',
+        position: position + 1,
+        name: item.title,
+        // Levels without a page are listed by name only
+        ...(item.url || item.path ? { item: item.url || `${siteUrl}${item.path}` } : {})
+      }))
+    };
     
-    // We don't add active trail information anymore as it's not useful in a static site context
-    // Active states must be determined at runtime in the browser, not during build time
+    if (!file[options.navigationObjectKey]) {
+      file[options.navigationObjectKey] = {};
+    }
+    file[options.navigationObjectKey][options.breadcrumbJsonLdKey] = jsonLd;
+    
+    if (options.breadcrumbJsonLd === 'inject' && file.contents) {
+      const contents = file.contents.toString();
+      // Escape '<' so titles can't close the script element
+      const script = `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`;
+      
+      // Pages without a <head> (e.g. before layouts) and pages that already have the script are left alone
+      if (contents.includes('</head>') && !contents.includes(script)) {
+        file.contents = Buffer.from(contents.replace('</head>', `${script}\n</head>`));
+        debug('Injected breadcrumb JSON-LD into %s', filePath);
+      }
+    }
   });
 }
 
+/**
+ * Write sitemap.xml into the files object from the navigation tree
+ * 
+ * Every node backed by a page is listed in navigation order, except pages
+ * whose frontmatter sets the noindex property. `lastmod`, `changefreq` and
+ * `priority` are read from frontmatter, falling back to the sitemap options.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {NavBuild} nav - The built navigation, from buildNavTree
+ * @param {NavOptions} options - Navigation options
+ * @param {Function} debug - Debug function
+ */
+function generateSitemap(files, nav, options, debug) {
+  if (!options.siteUrl) {
+    throw new Error('metalsmith-autonav: sitemap requires the siteUrl option for absolute URLs');
+  }
+  const sitemapOpts = {
+    path: 'sitemap.xml',
+    lastmodKey: 'lastmod',
+    changefreqKey: 'changefreq',
+    priorityKey: 'priority',
+    noindexKey: 'noindex',
+    changefreq: null,
+    priority: null,
+    limit: 0,
+    ...(typeof options.sitemap === 'object' ? options.sitemap : {})
+  };
+  
+  // Find the page behind each node
+  const pagesByNode = new Map();
+  Object.keys(files).forEach(filePath => {
+    const file = files[filePath];
+    if (getPageExclusion(nav, filePath, file, options) || !getPageExtension(filePath, options)) {
+      return;
+    }
+    const trail = getPageTrail(nav, filePath, file, options);
+    const current = trail[trail.length - 1];
+    if (current && current.node && !pagesByNode.has(current.node)) {
+      pagesByNode.set(current.node, file);
+    }
+  });
+  
+  const entries = [];
+  const seen = new Set();
+  walk(nav.tree, (node) => {
+    const file = pagesByNode.get(node);
+    if (!file || file[sitemapOpts.noindexKey] || seen.has(node.url)) {
+      return;
+    }
+    seen.add(node.url);
+    entries.push({
+      loc: node.url,
+      lastmod: file[sitemapOpts.lastmodKey],
+      changefreq: file[sitemapOpts.changefreqKey] || sitemapOpts.changefreq,
+      priority: file[sitemapOpts.priorityKey] !== undefined ? file[sitemapOpts.priorityKey] : sitemapOpts.priority
+    });
+  });
+  
+  const sitemaps = renderSitemaps(entries, {
+    path: sitemapOpts.path,
+    limit: sitemapOpts.limit,
+    siteUrl: `${options.siteUrl.replace(/\/+$/, '')}${withBasePath('/', options)}`.replace(/\/$/, '')
+  });
+  Object.keys(sitemaps).forEach(sitemapPath => {
+    files[sitemapPath] = { contents: Buffer.from(sitemaps[sitemapPath]) };
+  });
+  
+  debug('Wrote %d sitemap URLs to %s', entries.length, Object.keys(sitemaps).join(', '));
+}
+
+/**
+ * Write a navigation tree into the files object as JSON for client-side menus
+ * 
+ * Each JSON file holds `{ hash, tree }`, where the tree is in the configured
+ * shape and the hash is a content hash for cache busting. With
+ * `navJson: { shard: true }`, the children of each top-level node go into
+ * their own file (e.g. nav/main/docs.json) and the node gets a
+ * `shard: { path, hash }` reference instead. The files are listed in the
+ * metadata under navJsonFilesKey.
+ * 
+ * @param {Object} files - Metalsmith files object
+ * @param {string} name - Name of the tree (config name or section menu key)
+ * @param {Object} tree - Navigation tree or section menu
+ * @param {NavOptions} options - Navigation options
+ * @param {Object} metadata - Metalsmith metadata
+ */
+function writeNavJson(files, name, tree, options, metadata) {
+  const jsonOpts = {
+    dir: 'nav',
+    shard: false,
+    ...(typeof options.navJson === 'object' ? options.navJson : {})
+  };
+  const dir = jsonOpts.dir.replace(/^\/+|\/+$/g, '');
+  
+  const write = (filePath, subtree, startDepth = 0) => {
+    const json = JSON.stringify(shapeTree(subtree, options, startDepth));
+    const hash = createHash('sha256').update(json).digest('hex').slice(0, 12);
+    files[filePath] = { contents: Buffer.from(`{"hash":"${hash}","tree":${json}}`) };
+    return { path: withBasePath(`/${filePath}`, options), hash };
+  };
+  
+  let manifest;
+  if (jsonOpts.shard) {
+    const shards = {};
+    const topLevel = {};
+    Object.keys(tree).forEach(key => {
+      const node = tree[key];
+      if (node.hidden) {
+        return;
+      }
+      if (node.children && Object.keys(node.children).length > 0) {
+        shards[key] = write(`${dir}/${name}/${key}.json`, node.children, 1);
+        topLevel[key] = { ...node, children: {}, shard: shards[key] };
+      } else {
+        topLevel[key] = node;
+      }
+    });
+    manifest = { ...write(`${dir}/${name}.json`, topLevel), shards };
+  } else {
+    manifest = write(`${dir}/${name}.json`, tree);
+  }
+  
+  metadata[options.navJsonFilesKey] = {
+    ...metadata[options.navJsonFilesKey],
+    [name]: manifest
+  };
+}
+
 // ESM export
 export default autonav;
+export { findNode, getAncestors, getDescendants, walk, mapTree, filterTree, flatten };
+export { renderNav, renderBreadcrumb, escapeHtml };
 
 // CommonJS export compatibility
 if (typeof module !== 'undefined') {
@@ -1265,5 +2768,17 @@ if (typeof module !== 'undefined') {
     // Using console.warn which is allowed by our linting rules
     console.warn('=== TEST MARKER: metalsmith-autonav CommonJS export activated ===');
   }
-  module.exports = autonav;
+  // Helpers are available as properties, e.g. require('metalsmith-autonav').findNode
+  module.exports = Object.assign(autonav, {
+    findNode,
+    getAncestors,
+    getDescendants,
+    walk,
+    mapTree,
+    filterTree,
+    flatten,
+    renderNav,
+    renderBreadcrumb,
+    escapeHtml
+  });
 }
\ No newline at end of file
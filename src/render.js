@@ -0,0 +1,227 @@
+/**
+ * Accessible HTML rendering for navigation trees and breadcrumbs
+ *
+ * Navigation trees and section menus render as nested lists inside a
+ * `<nav aria-label>` landmark, breadcrumbs as an ordered list. All titles and
+ * paths are escaped, and the item for the current page gets
+ * `aria-current="page"`.
+ */
+
+/**
+ * @typedef {Object} RenderClassNames
+ * @property {string} [nav=''] - Class of the `<nav>` landmark
+ * @property {string} [list='nav-list'] - Class of each `<ul>`/`<ol>`
+ * @property {string} [item='nav-item'] - Class of each `<li>`
+ * @property {string} [link='nav-link'] - Class of each link (or `<span>` for items without a path)
+ * @property {string} [current='is-current'] - Extra class of the current page's `<li>`
+ */
+
+/**
+ * @typedef {Object} RenderContext
+ * @property {number} depth - Depth of the item (0 for top-level items)
+ * @property {boolean} isCurrent - Whether the item is the current page
+ * @property {string} children - Rendered HTML of the item's children ('' if none)
+ * @property {RenderClassNames} classNames - Class names in use
+ * @property {function(*): string} escape - HTML escape function
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {string} [currentPath] - Path of the current page, marked with aria-current="page"
+ * @property {string} [label] - aria-label of the `<nav>` landmark ('Main' for trees, 'Breadcrumb' for breadcrumbs)
+ * @property {number} [maxDepth=Infinity] - Number of levels to render
+ * @property {RenderClassNames} [classNames] - Class names, merged with the defaults
+ * @property {function(Object, RenderContext): string} [renderItem] - Returns the HTML of one `<li>`
+ */
+
+const defaultNavClassNames = {
+  nav: '',
+  list: 'nav-list',
+  item: 'nav-item',
+  link: 'nav-link',
+  current: 'is-current'
+};
+
+const defaultBreadcrumbClassNames = {
+  nav: '',
+  list: 'breadcrumb',
+  item: 'breadcrumb-item',
+  link: 'breadcrumb-link',
+  current: 'is-current'
+};
+
+/**
+ * Escape a value for use in HTML text and attribute values
+ *
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped string
+ */
+export function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build a class attribute, or nothing for empty class names
+ *
+ * @param {...string} classNames - Class names to join
+ * @returns {string} The attribute with a leading space, or ''
+ */
+function classAttr(...classNames) {
+  const value = classNames.filter(Boolean).join(' ');
+  return value ? ` class="${escapeHtml(value)}"` : '';
+}
+
+/**
+ * Render one list item: a link to the item (or a span if it has no path) and its children
+ *
+ * Links to items with `target` or `rel` (e.g. external nav items) get those attributes.
+ *
+ * @param {Object} item - Navigation or breadcrumb item
+ * @param {RenderContext} context - Render context
+ * @returns {string} The `<li>` HTML
+ */
+export function defaultRenderItem(item, context) {
+  const { classNames, isCurrent } = context;
+  const current = isCurrent ? ' aria-current="page"' : '';
+  const title = escapeHtml(item.title);
+  const target = item.target ? ` target="${escapeHtml(item.target)}"` : '';
+  const rel = item.rel ? ` rel="${escapeHtml(item.rel)}"` : '';
+  const label = item.path
+    ? `<a${classAttr(classNames.link)} href="${escapeHtml(item.path)}"${target}${rel}${current}>${title}</a>`
+    : `<span${classAttr(classNames.link)}${current}>${title}</span>`;
+
+  return `<li${classAttr(classNames.item, isCurrent && classNames.current)}>${label}${context.children}</li>`;
+}
+
+/**
+ * Whether an item is the current page
+ *
+ * @param {Object} item - Navigation or breadcrumb item
+ * @param {string} [currentPath] - Path of the current page
+ * @returns {boolean} True if the item's path is the current path
+ */
+function isCurrentItem(item, currentPath) {
+  if (!currentPath || !item.path) {
+    return false;
+  }
+  return item.path === currentPath || item.path.replace(/\/$/, '') === currentPath.replace(/\/$/, '');
+}
+
+/**
+ * Prepare a navigation tree or section menu for rendering once per page
+ *
+ * Every item is rendered once as not current. Rendering for a page only
+ * renders the current item and its ancestors again and joins them with the
+ * shared HTML of the other items, so a site's pages don't each pay for
+ * rendering the whole tree. The returned function takes the current path
+ * (`options.currentPath` is ignored).
+ *
+ * @param {Object|Array} tree - Navigation tree or section menu
+ * @param {RenderOptions} [options] - Render options
+ * @returns {function(string=): string} Renders the HTML for a current path, or '' for an empty tree
+ */
+export function createNavRenderer(tree, options = {}) {
+  const classNames = { ...defaultNavClassNames, ...options.classNames };
+  const renderItem = typeof options.renderItem === 'function' ? options.renderItem : defaultRenderItem;
+  const maxDepth = options.maxDepth !== undefined ? options.maxDepth : Infinity;
+  const label = options.label !== undefined ? options.label : 'Main';
+
+  const levelItems = (level, depth) => depth >= maxDepth
+    ? []
+    : (Array.isArray(level) ? level : Object.values(level || {})).filter(item => !item.hidden);
+  const wrapLevel = html => html ? `<ul${classAttr(classNames.list)}>${html}</ul>` : '';
+
+  // Items rendered as not current, and each path's items with their ancestors
+  const itemHtml = new Map();
+  const trails = new Map();
+  const renderShared = (level, depth, ancestors) => wrapLevel(levelItems(level, depth).map(item => {
+    if (item.path) {
+      const key = item.path.replace(/\/$/, '');
+      if (!trails.has(key)) {
+        trails.set(key, new Set());
+      }
+      [...ancestors, item].forEach(node => trails.get(key).add(node));
+    }
+    const html = renderItem(item, {
+      depth,
+      isCurrent: false,
+      children: renderShared(item.children, depth + 1, [...ancestors, item]),
+      classNames,
+      escape: escapeHtml
+    });
+    itemHtml.set(item, html);
+    return html;
+  }).join(''));
+
+  const sharedList = renderShared(tree, 0, []);
+  if (!sharedList) {
+    return () => '';
+  }
+
+  const renderLevel = (level, depth, currentPath, trail) => wrapLevel(levelItems(level, depth).map(item => (
+    trail.has(item)
+      ? renderItem(item, {
+        depth,
+        isCurrent: isCurrentItem(item, currentPath),
+        children: renderLevel(item.children, depth + 1, currentPath, trail),
+        classNames,
+        escape: escapeHtml
+      })
+      : itemHtml.get(item)
+  )).join(''));
+
+  return currentPath => {
+    const trail = currentPath ? trails.get(currentPath.replace(/\/$/, '')) : null;
+    const list = trail ? renderLevel(tree, 0, currentPath, trail) : sharedList;
+    return `<nav${classAttr(classNames.nav)} aria-label="${escapeHtml(label)}">${list}</nav>`;
+  };
+}
+
+/**
+ * Render a navigation tree or section menu as nested lists in a `<nav>` landmark
+ *
+ * Accepts trees in the 'object' and 'array' shapes. Items with `hidden: true`
+ * are left out with their children.
+ *
+ * @param {Object|Array} tree - Navigation tree or section menu
+ * @param {RenderOptions} [options] - Render options
+ * @returns {string} The HTML, or '' for an empty tree
+ */
+export function renderNav(tree, options = {}) {
+  return createNavRenderer(tree, options)(options.currentPath);
+}
+
+/**
+ * Render a breadcrumb trail as an ordered list in a `<nav>` landmark
+ *
+ * Without a currentPath, the last item is the current page.
+ *
+ * @param {Array<Object>} breadcrumb - Breadcrumb items ({ title, path })
+ * @param {RenderOptions} [options] - Render options (maxDepth is ignored)
+ * @returns {string} The HTML, or '' for an empty trail
+ */
+export function renderBreadcrumb(breadcrumb, options = {}) {
+  if (!Array.isArray(breadcrumb) || breadcrumb.length === 0) {
+    return '';
+  }
+  const classNames = { ...defaultBreadcrumbClassNames, ...options.classNames };
+  const renderItem = typeof options.renderItem === 'function' ? options.renderItem : defaultRenderItem;
+
+  const html = breadcrumb.map((item, position) => renderItem(item, {
+    depth: position,
+    isCurrent: options.currentPath
+      ? isCurrentItem(item, options.currentPath)
+      : position === breadcrumb.length - 1,
+    children: '',
+    classNames,
+    escape: escapeHtml
+  })).join('');
+
+  const label = options.label !== undefined ? options.label : 'Breadcrumb';
+  return `<nav${classAttr(classNames.nav)} aria-label="${escapeHtml(label)}"><ol${classAttr(classNames.list)}>${html}</ol></nav>`;
+}
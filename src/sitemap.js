@@ -0,0 +1,94 @@
+/**
+ * sitemap.xml rendering
+ *
+ * Sites with more URLs than fit in one sitemap get numbered sitemap files
+ * (sitemap-1.xml, sitemap-2.xml, ...) and a sitemap index at the sitemap path.
+ */
+
+import { escapeHtml } from './render.js';
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc - Absolute URL of the page
+ * @property {string|Date} [lastmod] - Last modification date
+ * @property {string} [changefreq] - Expected change frequency (e.g. 'weekly')
+ * @property {number|string} [priority] - Priority between 0.0 and 1.0
+ */
+
+/**
+ * The sitemap protocol allows at most 50,000 URLs per sitemap file
+ */
+export const SITEMAP_URL_LIMIT = 50000;
+
+const XMLNS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+/**
+ * Format a lastmod value as a W3C datetime
+ *
+ * @param {string|Date} value - Date or date string
+ * @returns {string} The formatted date
+ */
+function formatDate(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Render one <url> element
+ *
+ * @param {SitemapEntry} entry - Sitemap entry
+ * @returns {string} The element's XML
+ */
+function renderUrl(entry) {
+  let xml = `<url><loc>${escapeHtml(entry.loc)}</loc>`;
+  if (entry.lastmod) {
+    xml += `<lastmod>${escapeHtml(formatDate(entry.lastmod))}</lastmod>`;
+  }
+  if (entry.changefreq) {
+    xml += `<changefreq>${escapeHtml(entry.changefreq)}</changefreq>`;
+  }
+  if (entry.priority !== undefined && entry.priority !== null && entry.priority !== '') {
+    xml += `<priority>${escapeHtml(entry.priority)}</priority>`;
+  }
+  return `${xml}</url>`;
+}
+
+/**
+ * Render the sitemap files for a list of entries
+ *
+ * @param {Array<SitemapEntry>} entries - Sitemap entries in order
+ * @param {Object} options - Sitemap options
+ * @param {string} options.path - Path of the sitemap (or sitemap index) file, e.g. 'sitemap.xml'
+ * @param {string} options.siteUrl - Site origin and base path, used for the sitemap index locations
+ * @param {number} [options.limit=50000] - Maximum number of URLs per sitemap file
+ * @returns {Object.<string, string>} Map of file paths to XML contents
+ */
+export function renderSitemaps(entries, options) {
+  const limit = options.limit || SITEMAP_URL_LIMIT;
+  const header = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+  const renderUrlset = (chunk) =>
+    `${header}<urlset xmlns="${XMLNS}">\n${chunk.map(entry => `${renderUrl(entry)}\n`).join('')}</urlset>\n`;
+
+  if (entries.length <= limit) {
+    return { [options.path]: renderUrlset(entries) };
+  }
+
+  // Split into numbered sitemaps listed in a sitemap index
+  const sitemaps = {};
+  const extension = options.path.match(/\.[^./]+$/);
+  const stem = extension ? options.path.slice(0, -extension[0].length) : options.path;
+  const suffix = extension ? extension[0] : '';
+  let indexXml = `${header}<sitemapindex xmlns="${XMLNS}">\n`;
+
+  for (let start = 0; start < entries.length; start += limit) {
+    const sitemapPath = `${stem}-${start / limit + 1}${suffix}`;
+    sitemaps[sitemapPath] = renderUrlset(entries.slice(start, start + limit));
+    indexXml += `<sitemap><loc>${escapeHtml(`${options.siteUrl}/${sitemapPath}`)}</loc></sitemap>\n`;
+  }
+
+  sitemaps[options.path] = `${indexXml}</sitemapindex>\n`;
+  return sitemaps;
+}
@@ -0,0 +1,242 @@
+/**
+ * Query helpers for navigation trees
+ *
+ * These work on the trees autonav publishes: the default object shape, where
+ * each level maps keys to nodes with a `children` object, and the 'array'
+ * shape, where each level is an array of nodes with a `key` property.
+ * Helpers that build a new tree return it in the same shape as their input.
+ */
+
+/**
+ * @typedef {Object} NavNode
+ * @property {string} title - Display name of the node
+ * @property {string} path - URL path of the node
+ * @property {Object.<string, NavNode>|Array<NavNode>} children - Child nodes
+ */
+
+/**
+ * @typedef {Object} NodeContext
+ * @property {string} key - The node's key in its level
+ * @property {string} keyPath - Keys from the top of the tree down to the node, joined with '/'
+ * @property {number} depth - Depth of the node (0 for top-level nodes)
+ * @property {NavNode|null} parent - The parent node, or null at the top level
+ */
+
+/**
+ * Get the [key, node] pairs of a tree level in either shape
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} level - Tree level
+ * @returns {Array<[string, NavNode]>} The level's entries in order
+ */
+function entriesOf(level) {
+  if (!level) {
+    return [];
+  }
+  if (Array.isArray(level)) {
+    return level.map((node, position) => [node.key !== undefined ? String(node.key) : String(position), node]);
+  }
+  return Object.entries(level);
+}
+
+/**
+ * Build a tree level from [key, node] pairs in the shape of an existing level
+ *
+ * @param {Array<[string, NavNode]>} entries - The new level's entries
+ * @param {Object|Array} like - A level in the shape to produce
+ * @returns {Object.<string, NavNode>|Array<NavNode>} The new level
+ */
+function levelFrom(entries, like) {
+  if (Array.isArray(like)) {
+    return entries.map(([, node]) => node);
+  }
+  const level = {};
+  entries.forEach(([key, node]) => {
+    level[key] = node;
+  });
+  return level;
+}
+
+/**
+ * Create an empty tree level in the shape of an existing level
+ *
+ * @param {Object|Array} like - A level in the shape to produce
+ * @returns {Object|Array} An empty level
+ */
+function emptyLevel(like) {
+  return Array.isArray(like) ? [] : {};
+}
+
+/**
+ * Visit every node depth-first, parents before their children
+ *
+ * Return `false` from the visitor to skip a node's children.
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} tree - Navigation tree
+ * @param {function(NavNode, NodeContext): (boolean|void)} visitor - Called for each node
+ */
+export function walk(tree, visitor) {
+  const walkLevel = (level, depth, parent, parentKeyPath) => {
+    entriesOf(level).forEach(([key, node]) => {
+      const keyPath = parentKeyPath ? `${parentKeyPath}/${key}` : key;
+      if (visitor(node, { key, keyPath, depth, parent }) !== false) {
+        walkLevel(node.children, depth + 1, node, keyPath);
+      }
+    });
+  };
+  walkLevel(tree, 0, null, '');
+}
+
+/**
+ * Build a node matcher from a path, key path or predicate
+ *
+ * Paths match with or without a trailing slash.
+ *
+ * @param {string|function(NavNode, NodeContext): boolean} query - Path, key path or predicate
+ * @returns {function(NavNode, NodeContext): boolean} The matcher
+ */
+function toMatcher(query) {
+  if (typeof query === 'function') {
+    return query;
+  }
+  const trimmed = String(query).replace(/\/$/, '');
+  return (node, context) => {
+    if (typeof node.path === 'string' && (node.path === query || node.path.replace(/\/$/, '') === trimmed)) {
+      return true;
+    }
+    return context.keyPath === query;
+  };
+}
+
+/**
+ * Find the first node matching a path, key path or predicate
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} tree - Navigation tree
+ * @param {string|function(NavNode, NodeContext): boolean} query - Path (e.g. '/blog/post1/'),
+ *   key path (e.g. 'blog/post1') or predicate
+ * @returns {NavNode|null} The node, or null if none matches
+ */
+export function findNode(tree, query) {
+  const matches = toMatcher(query);
+  let found = null;
+
+  walk(tree, (node, context) => {
+    if (found) {
+      return false;
+    }
+    if (matches(node, context)) {
+      found = node;
+      return false;
+    }
+    return true;
+  });
+
+  return found;
+}
+
+/**
+ * Get the ancestors of a node, from the top of the tree down to its parent
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} tree - Navigation tree
+ * @param {NavNode|string|function(NavNode, NodeContext): boolean} target - A node of the tree,
+ *   or a query as accepted by findNode
+ * @returns {Array<NavNode>} The ancestors (empty for top-level nodes and unknown targets)
+ */
+export function getAncestors(tree, target) {
+  const matches = typeof target === 'object' && target !== null
+    ? (node) => node === target
+    : toMatcher(target);
+  const trail = [];
+  let ancestors = null;
+
+  walk(tree, (node, context) => {
+    if (ancestors) {
+      return false;
+    }
+    // Nodes are visited parents first, so the trail holds this node's ancestors
+    trail.length = context.depth;
+    if (matches(node, context)) {
+      ancestors = trail.slice();
+      return false;
+    }
+    trail.push(node);
+    return true;
+  });
+
+  return ancestors || [];
+}
+
+/**
+ * Get every node below a node, depth-first
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} tree - Navigation tree
+ * @param {NavNode|string|function(NavNode, NodeContext): boolean} target - A node of the tree,
+ *   or a query as accepted by findNode
+ * @returns {Array<NavNode>} The descendants (empty for leaves and unknown targets)
+ */
+export function getDescendants(tree, target) {
+  const node = typeof target === 'object' && target !== null ? target : findNode(tree, target);
+  return node ? flatten(node.children) : [];
+}
+
+/**
+ * List every node of the tree depth-first, parents before their children
+ *
+ * The list holds the tree's own nodes, not copies.
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} tree - Navigation tree
+ * @returns {Array<NavNode>} All nodes
+ */
+export function flatten(tree) {
+  const nodes = [];
+  walk(tree, (node) => {
+    nodes.push(node);
+  });
+  return nodes;
+}
+
+/**
+ * Build a new tree by transforming every node
+ *
+ * The callback returns the new node's properties; its `children` are always
+ * replaced with the mapped children of the original node.
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} tree - Navigation tree
+ * @param {function(NavNode, NodeContext): Object} fn - Returns the properties of the new node
+ * @returns {Object.<string, NavNode>|Array<NavNode>} The new tree, in the input's shape
+ */
+export function mapTree(tree, fn) {
+  const mapLevel = (level, depth, parent, parentKeyPath) => {
+    const entries = entriesOf(level).map(([key, node]) => {
+      const keyPath = parentKeyPath ? `${parentKeyPath}/${key}` : key;
+      const mapped = { ...fn(node, { key, keyPath, depth, parent }) };
+      mapped.children = mapLevel(node.children || emptyLevel(level), depth + 1, node, keyPath);
+      return [key, mapped];
+    });
+    return levelFrom(entries, level);
+  };
+  return mapLevel(tree, 0, null, '');
+}
+
+/**
+ * Build a new tree with only the nodes that pass a predicate
+ *
+ * Dropping a node drops its whole subtree. Kept nodes are shallow copies.
+ *
+ * @param {Object.<string, NavNode>|Array<NavNode>} tree - Navigation tree
+ * @param {function(NavNode, NodeContext): boolean} predicate - Return true to keep a node
+ * @returns {Object.<string, NavNode>|Array<NavNode>} The new tree, in the input's shape
+ */
+export function filterTree(tree, predicate) {
+  const filterLevel = (level, depth, parent, parentKeyPath) => {
+    const entries = [];
+    entriesOf(level).forEach(([key, node]) => {
+      const keyPath = parentKeyPath ? `${parentKeyPath}/${key}` : key;
+      if (predicate(node, { key, keyPath, depth, parent })) {
+        const children = filterLevel(node.children || emptyLevel(level), depth + 1, node, keyPath);
+        entries.push([key, { ...node, children }]);
+      }
+    });
+    return levelFrom(entries, level);
+  };
+  return filterLevel(tree, 0, null, '');
+}
@@ -12,6 +12,17 @@ describe('metalsmith-autonav (CommonJS)', () => {
     assert.strictEqual(typeof autonav(), 'function', 'Plugin should return a function when called');
   });
   
+  // Verify the helpers are available from the CommonJS export
+  it('should expose the helpers as properties', () => {
+    const helpers = ['findNode', 'getAncestors', 'getDescendants', 'walk', 'mapTree', 'filterTree', 'flatten', 'renderNav'];
+    helpers.forEach(name => {
+      assert.strictEqual(typeof autonav[name], 'function', `${name} should be a function`);
+    });
+    
+    const tree = { blog: { title: 'Blog', path: '/blog/', children: {} } };
+    assert.strictEqual(autonav.findNode(tree, '/blog/'), tree.blog);
+  });
+  
   // Add a basic functionality test to verify the plugin works with CommonJS
   it('should generate navigation in CommonJS environment', (done) => {
     // Create test files
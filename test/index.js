@@ -8,7 +8,17 @@ const { expect } = chai;
 import metalsmith from 'metalsmith';
 
 // Import the plugin directly from src for accurate coverage
-import autonav from '../src/index.js';
+import autonav, {
+  findNode,
+  getAncestors,
+  getDescendants,
+  walk,
+  mapTree,
+  filterTree,
+  flatten,
+  renderNav,
+  renderBreadcrumb
+} from '../src/index.js';
 
 // Get current directory and setup path utilities
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -28,6 +38,34 @@ const getFixturePath = (dir) => resolve.bind(null, __dirname, `fixtures/${dir}`)
  */
 const readFixture = (dir, filepath) => readFileSync(getFixturePath(dir)(filepath), 'utf8');
 
+/**
+ * Creates a flat section of pages: blog/index.md and blog/post0.md, blog/post1.md, ...
+ * @param {number} count - The number of posts
+ * @returns {Object} The files object
+ */
+const createFlatSection = (count) => {
+  const files = {
+    'index.md': { contents: Buffer.from('# Home') },
+    'blog/index.md': { contents: Buffer.from('# Blog') }
+  };
+  for (let i = 0; i < count; i++) {
+    files[`blog/post${i}.md`] = { contents: Buffer.from(`# Post ${i}`) };
+  }
+  return files;
+};
+
+/**
+ * Creates a minimal Metalsmith instance for the plugin
+ * @param {Object} metadata - The global metadata object
+ * @returns {Object} The mock instance
+ */
+const createMetalsmithMock = (metadata) => ({
+  metadata: () => metadata,
+  source: () => 'src',
+  destination: () => 'build',
+  debug: () => () => {}
+});
+
 describe('metalsmith-autonav (ESM)', function() {
   // Set timeout for all tests
   this.timeout(5000);
@@ -1756,9 +1794,8 @@ describe('metalsmith-autonav (ESM)', function() {
               if (node.path) {
                 const pathSegments = node.path.split('/').filter(Boolean);
                 for (let i = 0; i < pathSegments.length - 1; i++) {
-                  // Test for consecutive identical segments or segment containment
+                  // Test for consecutive identical segments
                   expect(pathSegments[i]).to.not.equal(pathSegments[i+1]);
-                  expect(pathSegments[i+1]).to.not.include(pathSegments[i]);
                 }
               }
               
@@ -2403,4 +2440,2689 @@ describe('metalsmith-autonav (ESM)', function() {
       });
     });
   });
+
+  describe('URL Building', () => {
+    it('should build unique paths for files nested several levels deep', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/guides/setup.md': { contents: Buffer.from('# Guide Setup') },
+        'docs/reference/setup.md': { contents: Buffer.from('# Reference Setup') },
+        'docs/reference/api/v1/endpoints.md': { contents: Buffer.from('# Endpoints') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav()(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const docs = metadata.nav.docs;
+          expect(docs.children.guides.path).to.equal('/docs/guides/');
+          expect(docs.children.guides.children.setup.path).to.equal('/docs/guides/setup/');
+          expect(docs.children.reference.children.setup.path).to.equal('/docs/reference/setup/');
+          expect(docs.children.reference.children.api.children.v1.children.endpoints.path)
+            .to.equal('/docs/reference/api/v1/endpoints/');
+          
+          expect(files['docs/reference/setup.md'].navigation.path).to.equal('/docs/reference/setup/');
+          expect(files['docs/reference/api/v1/endpoints.md'].breadcrumb.map(item => item.path)).to.deep.equal([
+            '/',
+            '/docs/',
+            '/docs/reference/',
+            '/docs/reference/api/',
+            '/docs/reference/api/v1/',
+            '/docs/reference/api/v1/endpoints/'
+          ]);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should build unique paths for nested files without permalinks', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/guides/setup.md': { contents: Buffer.from('# Guide Setup') },
+        'docs/reference/setup.md': { contents: Buffer.from('# Reference Setup') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        usePermalinks: false
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const docs = metadata.nav.docs;
+          expect(docs.path).to.equal('/docs/index.html');
+          expect(docs.children.guides.children.setup.path).to.equal('/docs/guides/setup.html');
+          expect(docs.children.reference.children.setup.path).to.equal('/docs/reference/setup.html');
+          expect(files['docs/guides/setup.md'].breadcrumb.map(item => item.path)).to.deep.equal([
+            '/index.html',
+            '/docs/index.html',
+            '/docs/guides/index.html',
+            '/docs/guides/setup.html'
+          ]);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should use a custom urlBuilder function', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/guides/setup.md': { contents: Buffer.from('# Setup') },
+        'docs/guides/install.md': { contents: Buffer.from('# Install'), slug: 'getting-started' }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      const calls = [];
+      autonav({
+        urlBuilder: (filePath, file) => {
+          calls.push(filePath);
+          // Only override pages with a slug, fall back to the default URL otherwise
+          if (file && file.slug) {
+            return `docs/${file.slug}/`;
+          }
+          return undefined;
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const guides = metadata.nav.docs.children.guides;
+          expect(guides.children.install.path).to.equal('/docs/getting-started/');
+          expect(guides.children.setup.path).to.equal('/docs/guides/setup/');
+          expect(guides.path).to.equal('/docs/guides/');
+          
+          // Directory nodes are passed to the builder as their index page
+          expect(calls).to.include('docs/guides/index.html');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Permalink Hierarchy', () => {
+    it('should build the hierarchy from permalinks when buildFromPermalinks is enabled', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'blog.md': { contents: Buffer.from('# Blog'), permalink: '/blog/' },
+        'posts/2024-05-01-hello.md': { contents: Buffer.from('# Hello'), permalink: '/blog/hello/' },
+        'posts/2024-06-01-world.md': { contents: Buffer.from('# World'), permalink: 'blog/world' },
+        'about.md': { contents: Buffer.from('# About') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        buildFromPermalinks: true
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // Pages are placed by permalink, not by source directory
+          expect(metadata.nav.posts).to.not.exist;
+          expect(metadata.nav.blog.path).to.equal('/blog/');
+          expect(metadata.nav.blog.children.hello.path).to.equal('/blog/hello/');
+          expect(metadata.nav.blog.children.world.path).to.equal('/blog/world/');
+          
+          // Files without a permalink fall back to their source path
+          expect(metadata.nav.about.path).to.equal('/about/');
+          
+          expect(files['posts/2024-05-01-hello.md'].navigation.path).to.equal('/blog/hello/');
+          expect(files['posts/2024-05-01-hello.md'].breadcrumb.map(item => item.path)).to.deep.equal([
+            '/',
+            '/blog/',
+            '/blog/hello/'
+          ]);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should read permalinks from a custom permalinkKey', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'drafts/launch.md': { contents: Buffer.from('# Launch'), url: '/news/launch.html' }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        buildFromPermalinks: true,
+        permalinkKey: 'url',
+        usePermalinks: false
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.drafts).to.not.exist;
+          expect(metadata.nav.news.children.launch.path).to.equal('/news/launch.html');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Base Path and Site URL', () => {
+    it('should prefix all paths with basePath', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'about.md': { contents: Buffer.from('# About') },
+        'blog/index.md': { contents: Buffer.from('# Blog') },
+        'blog/post1.md': { contents: Buffer.from('# Post 1') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        basePath: 'project-name/',
+        sectionMenus: {
+          '/blog/': 'blogMenu'
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.home.path).to.equal('/project-name/');
+          expect(metadata.nav.about.path).to.equal('/project-name/about/');
+          expect(metadata.nav.blog.children.post1.path).to.equal('/project-name/blog/post1/');
+          expect(files['blog/post1.md'].navigation.path).to.equal('/project-name/blog/post1/');
+          
+          expect(files['blog/post1.md'].breadcrumb.map(item => item.path)).to.deep.equal([
+            '/project-name/',
+            '/project-name/blog/',
+            '/project-name/blog/post1/'
+          ]);
+          
+          // Section menus are still found by their site-relative path
+          expect(metadata.blogMenu.post1.path).to.equal('/project-name/blog/post1/');
+          
+          // No absolute urls without a siteUrl
+          expect(metadata.nav.about.url).to.be.undefined;
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should prefix sections named like the basePath', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/setup.md': { contents: Buffer.from('# Setup') }
+      };
+      const metadata = {};
+
+      autonav({ basePath: '/docs/' })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.home.path).to.equal('/docs/');
+          expect(metadata.nav.docs.path).to.equal('/docs/docs/');
+          expect(metadata.nav.docs.children.setup.path).to.equal('/docs/docs/setup/');
+          expect(files['docs/setup.md'].breadcrumb.map(item => item.path))
+            .to.deep.equal(['/docs/', '/docs/docs/', '/docs/docs/setup/']);
+          expect(files['docs/index.md'].navigation.parent).to.equal(null);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should add absolute urls when siteUrl is set', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/setup.md': { contents: Buffer.from('# Setup') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        basePath: '/project-name',
+        siteUrl: 'https://example.github.io/',
+        usePermalinks: false
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.home.url).to.equal('https://example.github.io/project-name/index.html');
+          expect(metadata.nav.docs.url).to.equal('https://example.github.io/project-name/docs/index.html');
+          expect(metadata.nav.docs.children.setup.url).to.equal('https://example.github.io/project-name/docs/setup.html');
+          
+          const breadcrumb = files['docs/setup.md'].breadcrumb;
+          expect(breadcrumb[0].path).to.equal('/project-name/index.html');
+          expect(breadcrumb.map(item => item.url)).to.deep.equal([
+            'https://example.github.io/project-name/index.html',
+            'https://example.github.io/project-name/docs/index.html',
+            'https://example.github.io/project-name/docs/setup.html'
+          ]);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Page Extensions', () => {
+    it('should treat files matching the extensions map as pages', (done) => {
+      const files = {
+        'index.njk': { contents: Buffer.from('Home') },
+        'about.mdx': { contents: Buffer.from('About') },
+        'docs/index.hbs': { contents: Buffer.from('Docs') },
+        'docs/setup.njk': { contents: Buffer.from('Setup') },
+        'styles/main.css': { contents: Buffer.from('body {}') },
+        'notes.md': { contents: Buffer.from('# Notes') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        usePermalinks: false,
+        extensions: { '.njk': '.html', '.hbs': '.html', '.mdx': '.html' }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.home.title).to.equal('Home');
+          expect(metadata.nav.home.path).to.equal('/index.html');
+          expect(metadata.nav.about.path).to.equal('/about.html');
+          
+          // Index files with any page extension become the directory node
+          expect(metadata.nav.docs.path).to.equal('/docs/index.html');
+          expect(metadata.nav.docs.children.setup.path).to.equal('/docs/setup.html');
+          
+          // Files not in the extensions map are ignored everywhere
+          expect(metadata.nav.styles).to.not.exist;
+          expect(metadata.nav.notes).to.not.exist;
+          expect(files['styles/main.css'].breadcrumb).to.be.undefined;
+          
+          expect(files['docs/setup.njk'].breadcrumb.map(item => item.path)).to.deep.equal([
+            '/index.html',
+            '/docs/index.html',
+            '/docs/setup.html'
+          ]);
+          expect(files['index.njk'].breadcrumb.length).to.equal(1);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should map source extensions to their output extension', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'feed.xml.njk': { contents: Buffer.from('<feed/>') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        usePermalinks: false,
+        extensions: { '.md': '.html', '.njk': '.html', '.xml.njk': '.xml' }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // The longest matching extension wins
+          expect(metadata.nav.feed.path).to.equal('/feed.xml');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Index Files', () => {
+    it('should use names from indexFiles as directory landing pages', (done) => {
+      const files = {
+        'README.md': { contents: Buffer.from('# Home') },
+        'docs/README.md': { contents: Buffer.from('# Docs'), navLabel: 'Documentation' },
+        'docs/setup.md': { contents: Buffer.from('# Setup') },
+        'guides/_index.md': { contents: Buffer.from('# Guides') },
+        'guides/first.md': { contents: Buffer.from('# First') },
+        'legacy/default.html': { contents: Buffer.from('Legacy') },
+        'legacy/default.md': { contents: Buffer.from('# Not a landing page') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        indexFiles: ['README', '_index', 'default.html']
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.home.path).to.equal('/');
+          expect(metadata.nav.readme).to.not.exist;
+          
+          expect(metadata.nav.docs.title).to.equal('Documentation');
+          expect(metadata.nav.docs.path).to.equal('/docs/');
+          expect(metadata.nav.docs.children).to.have.all.keys('setup');
+          
+          // Labels of landing pages come from their directory name
+          expect(metadata.nav.guides.title).to.equal('Guides');
+          expect(metadata.nav.guides.children).to.have.all.keys('first');
+          
+          // Full filenames only match that exact file
+          expect(metadata.nav.legacy.path).to.equal('/legacy/');
+          expect(metadata.nav.legacy.children.default.path).to.equal('/legacy/default/');
+          
+          expect(files['docs/README.md'].breadcrumb.map(item => item.title)).to.deep.equal(['Home', 'Documentation']);
+          expect(files['README.md'].breadcrumb.length).to.equal(1);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should use the first listed name when a directory has several candidates', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs Index'), navLabel: 'From Index' },
+        'docs/README.md': { contents: Buffer.from('# Docs Readme'), navLabel: 'From Readme' },
+        'docs/setup.md': { contents: Buffer.from('# Setup') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        indexFiles: ['README']
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // README is listed, index ranks after it
+          expect(metadata.nav.docs.title).to.equal('From Readme');
+          expect(metadata.nav.docs.children).to.have.all.keys('setup');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Output Shapes', () => {
+    const shapeFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home'), navigation: { navIndex: 0 } },
+      'blog/index.md': { contents: Buffer.from('# Blog'), navigation: { navIndex: 2 } },
+      'blog/post1.md': { contents: Buffer.from('# Post 1'), navigation: { navIndex: 1 } },
+      'blog/post2.md': { contents: Buffer.from('# Post 2'), navigation: { navIndex: 2 } },
+      'about.md': { contents: Buffer.from('# About'), navigation: { navIndex: 1 } }
+    });
+
+    it('should publish ordered arrays with the array shape', (done) => {
+      const files = shapeFiles();
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        shape: 'array',
+        sectionMenus: {
+          '/blog/': 'blogMenu'
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav).to.be.an('array');
+          expect(metadata.nav.map(item => item.key)).to.deep.equal(['home', 'about', 'blog']);
+          
+          const blog = metadata.nav[2];
+          expect(blog.title).to.equal('Blog');
+          expect(blog.path).to.equal('/blog/');
+          expect(blog.children.map(item => item.key)).to.deep.equal(['post1', 'post2']);
+          expect(blog.children[0].children).to.deep.equal([]);
+          
+          expect(metadata.blogMenu.map(item => item.path)).to.deep.equal(['/blog/post1/', '/blog/post2/']);
+          
+          // Breadcrumbs are unaffected by the output shape
+          expect(files['blog/post1.md'].breadcrumb.map(item => item.path)).to.deep.equal(['/', '/blog/', '/blog/post1/']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should publish a depth-first list with the flat shape', (done) => {
+      const files = shapeFiles();
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        configs: {
+          main: { navKey: 'nav' },
+          footer: { navKey: 'footerNav', shape: 'flat' }
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // Each config keeps its own shape
+          expect(metadata.nav).to.be.an('object');
+          expect(metadata.footerNav).to.be.an('array');
+          
+          expect(metadata.footerNav.map(item => [item.key, item.depth, item.parentPath])).to.deep.equal([
+            ['home', 0, null],
+            ['about', 0, null],
+            ['blog', 0, null],
+            ['post1', 1, '/blog/'],
+            ['post2', 1, '/blog/']
+          ]);
+          expect(metadata.footerNav[0]).to.not.have.property('children');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should transform and remove nodes with mapNode', (done) => {
+      const files = shapeFiles();
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        mapNode: (node, context) => {
+          if (context.key === 'post2') {
+            return null;
+          }
+          return { label: node.title, href: node.path, level: context.depth, children: node.children };
+        },
+        sectionMenus: {
+          '/blog/': 'blogMenu'
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.blog).to.deep.equal({
+            label: 'Blog',
+            href: '/blog/',
+            level: 0,
+            children: {
+              post1: { label: 'Post1', href: '/blog/post1/', level: 1, children: {} }
+            }
+          });
+          
+          // Section menus are shaped from their own root
+          expect(metadata.blogMenu.post1.level).to.equal(0);
+          expect(metadata.blogMenu.post2).to.not.exist;
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should reject unknown shapes', async () => {
+      const metalsmithMock = {
+        metadata: () => ({}),
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      let caughtError = null;
+      try {
+        await autonav({ shape: 'tree' })(shapeFiles(), metalsmithMock);
+      } catch (error) {
+        caughtError = error;
+      }
+      
+      expect(caughtError).to.exist;
+      expect(caughtError.message).to.include('unknown shape "tree"');
+    });
+  });
+
+  describe('Page Context', () => {
+    it('should add parent, siblings and children to each file', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'about.md': { contents: Buffer.from('# About') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/intro.md': { contents: Buffer.from('# Intro') },
+        'docs/guides/index.md': { contents: Buffer.from('# Guides') },
+        'docs/guides/setup.md': { contents: Buffer.from('# Setup') },
+        'docs/guides/deploy.md': { contents: Buffer.from('# Deploy') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav()(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const setup = files['docs/guides/setup.md'].navigation;
+          expect(setup.parent).to.include({ key: 'guides', title: 'Guides', path: '/docs/guides/' });
+          expect(setup.siblings.map(item => item.key)).to.deep.equal(['setup', 'deploy']);
+          expect(setup.children).to.deep.equal([]);
+          
+          // Index pages get the context of their directory node
+          const guides = files['docs/guides/index.md'].navigation;
+          expect(guides.parent.path).to.equal('/docs/');
+          expect(guides.siblings.map(item => item.key)).to.deep.equal(['intro', 'guides']);
+          expect(guides.children.map(item => item.path)).to.deep.equal(['/docs/guides/setup/', '/docs/guides/deploy/']);
+          
+          // Context holds the tree's own nodes, and pages on one level share their siblings list
+          expect(guides.children[0]).to.equal(metadata.nav.docs.children.guides.children.setup);
+          expect(setup.siblings).to.equal(files['docs/guides/deploy.md'].navigation.siblings);
+          expect(setup.siblings).to.equal(guides.children);
+          
+          // Top-level pages have no parent
+          const about = files['about.md'].navigation;
+          expect(about.parent).to.be.null;
+          expect(about.siblings.map(item => item.key)).to.have.members(['home', 'about', 'docs']);
+          
+          const home = files['index.md'].navigation;
+          expect(home.parent).to.be.null;
+          expect(home.siblings.map(item => item.key)).to.have.members(['home', 'about', 'docs']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should add page context for every configuration', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'blog/index.md': { contents: Buffer.from('# Blog') },
+        'blog/post1.md': { contents: Buffer.from('# Post 1') },
+        'blog/post2.md': { contents: Buffer.from('# Post 2'), footerExclude: true }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        configs: {
+          main: { navKey: 'nav' },
+          footer: {
+            navKey: 'footerNav',
+            navExcludeKey: 'footerExclude',
+            parentKey: 'footerParent',
+            siblingsKey: 'footerSiblings',
+            childrenKey: 'footerChildren'
+          }
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const navigation = files['blog/post1.md'].navigation;
+          expect(navigation.siblings.map(item => item.key)).to.deep.equal(['post1', 'post2']);
+          expect(navigation.footerSiblings.map(item => item.key)).to.deep.equal(['post1']);
+          expect(navigation.footerParent.path).to.equal('/blog/');
+          expect(files['blog/index.md'].navigation.footerChildren.map(item => item.key)).to.deep.equal(['post1']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Reading Order', () => {
+    it('should add previous and next links in depth-first order', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home'), navigation: { navIndex: 0 } },
+        'docs/index.md': { contents: Buffer.from('# Docs'), navigation: { navIndex: 1 } },
+        'docs/intro.md': { contents: Buffer.from('# Intro'), navigation: { navIndex: 1 } },
+        'docs/guides/index.md': { contents: Buffer.from('# Guides'), navigation: { navIndex: 2 } },
+        'docs/guides/setup.md': { contents: Buffer.from('# Setup'), navigation: { navIndex: 1 } },
+        'about.md': { contents: Buffer.from('# About'), navigation: { navIndex: 2 } }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav()(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // Home, Docs, Intro, Guides, Setup, About
+          const intro = files['docs/intro.md'].navigation;
+          expect(intro.prev).to.include({ key: 'docs', title: 'Docs', path: '/docs/', index: 1 });
+          expect(intro.next.path).to.equal('/docs/guides/');
+          expect(intro.position).to.deep.equal({ current: 3, total: 6, label: '3 of 6' });
+          
+          // The sequence crosses section boundaries
+          const setup = files['docs/guides/setup.md'].navigation;
+          expect(setup.next.path).to.equal('/about/');
+          
+          expect(files['index.md'].navigation.prev).to.be.null;
+          expect(files['about.md'].navigation.next).to.be.null;
+          expect(files['about.md'].navigation.position.label).to.equal('6 of 6');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should limit the sequence to the top-level section', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home'), navigation: { navIndex: 0 } },
+        'docs/index.md': { contents: Buffer.from('# Docs'), navigation: { navIndex: 1 } },
+        'docs/intro.md': { contents: Buffer.from('# Intro'), navigation: { navIndex: 1 } },
+        'docs/setup.md': { contents: Buffer.from('# Setup'), navigation: { navIndex: 2 } },
+        'about.md': { contents: Buffer.from('# About'), navigation: { navIndex: 2 } }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ prevNextScope: 'section' })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const docs = files['docs/index.md'].navigation;
+          expect(docs.prev).to.be.null;
+          expect(docs.position.label).to.equal('1 of 3');
+          
+          const setup = files['docs/setup.md'].navigation;
+          expect(setup.prev.path).to.equal('/docs/intro/');
+          expect(setup.next).to.be.null;
+          
+          // Top-level pages form their own section
+          const about = files['about.md'].navigation;
+          expect(about.prev).to.be.null;
+          expect(about.position.label).to.equal('1 of 1');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Node Metadata', () => {
+    it('should add depth, parent path and counts to each node', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'about.md': { contents: Buffer.from('# About') },
+        'blog/index.md': { contents: Buffer.from('# Blog') },
+        'blog/post1.md': { contents: Buffer.from('# Post 1') },
+        'blog/2024/index.md': { contents: Buffer.from('# 2024') },
+        'blog/2024/post2.md': { contents: Buffer.from('# Post 2') },
+        'blog/2024/post3.md': { contents: Buffer.from('# Post 3') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav()(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const blog = metadata.nav.blog;
+          expect(blog).to.include({
+            key: 'blog',
+            depth: 0,
+            parentPath: null,
+            hasChildren: true,
+            childCount: 2,
+            descendantCount: 4
+          });
+          
+          expect(blog.children['2024']).to.include({
+            key: '2024',
+            depth: 1,
+            parentPath: '/blog/',
+            childCount: 2,
+            descendantCount: 2
+          });
+          
+          expect(blog.children['2024'].children.post3).to.include({
+            depth: 2,
+            parentPath: '/blog/2024/',
+            hasChildren: false,
+            childCount: 0,
+            descendantCount: 0
+          });
+          
+          expect(metadata.nav.about).to.include({ key: 'about', hasChildren: false });
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should keep counts correct after duplicate cleanup', (done) => {
+      const files = {
+        'blog/index.md': { contents: Buffer.from('# Blog') },
+        'blog/blog.md': { contents: Buffer.from('# Blog Again') },
+        'blog/post1.md': { contents: Buffer.from('# Post 1') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav()(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const blog = metadata.nav.blog;
+          expect(Object.keys(blog.children).length).to.equal(blog.childCount);
+          expect(blog.descendantCount).to.equal(blog.childCount);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should share node references between the pages of large flat sections', async () => {
+      const files = createFlatSection(1000);
+      const metadata = {};
+      await autonav()(files, createMetalsmithMock(metadata));
+      
+      // One siblings list per level, holding the annotated tree nodes, not copies of them
+      const { siblings } = files['blog/post1.md'].navigation;
+      expect(siblings).to.have.lengthOf(1000);
+      expect(files['blog/post2.md'].navigation.siblings).to.equal(siblings);
+      expect(siblings[999]).to.equal(metadata.nav.blog.children.post999);
+      expect(files['blog/index.md'].navigation.children).to.equal(siblings);
+    });
+  });
+
+  describe('Lookup Maps', () => {
+    it('should publish navByPath and navByKey lookup maps', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'blog/index.md': { contents: Buffer.from('# Blog') },
+        'blog/post1.md': { contents: Buffer.from('# Post 1') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/post1.md': { contents: Buffer.from('# Docs Post 1') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav()(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.navByPath['/']).to.equal(metadata.nav.home);
+          expect(metadata.navByPath['/blog/']).to.equal(metadata.nav.blog);
+          expect(metadata.navByPath['/docs/post1/']).to.equal(metadata.nav.docs.children.post1);
+          
+          // Key paths keep repeated keys apart
+          expect(metadata.navByKey.blog).to.equal(metadata.nav.blog);
+          expect(metadata.navByKey['blog/post1']).to.equal(metadata.nav.blog.children.post1);
+          expect(metadata.navByKey['docs/post1'].path).to.equal('/docs/post1/');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should publish lookup maps per configuration and use them for section menus', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/guides/index.md': { contents: Buffer.from('# Guides') },
+        'docs/guides/setup.md': { contents: Buffer.from('# Setup') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        configs: {
+          main: { navKey: 'nav' },
+          footer: { navKey: 'footerNav', navByPathKey: 'footerPaths' }
+        },
+        sectionMenus: {
+          '/docs/guides/': 'guidesMenu'
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.navByPath['/docs/guides/'].title).to.equal('Guides');
+          expect(metadata.footerPaths['/docs/guides/setup/'].title).to.equal('Setup');
+          expect(metadata.footerNavByKey['docs/guides']).to.equal(metadata.footerNav.docs.children.guides);
+          
+          // Nested sections are found through the lookup map
+          expect(Object.keys(metadata.guidesMenu)).to.deep.equal(['setup']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Tree Query Helpers', () => {
+    const buildTree = (shape, done, callback) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'about.md': { contents: Buffer.from('# About') },
+        'blog/index.md': { contents: Buffer.from('# Blog') },
+        'blog/post1.md': { contents: Buffer.from('# Post 1') },
+        'blog/2024/index.md': { contents: Buffer.from('# 2024') },
+        'blog/2024/post2.md': { contents: Buffer.from('# Post 2') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ shape })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          callback(metadata.nav);
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    };
+
+    it('should find nodes, ancestors and descendants', (done) => {
+      buildTree('object', done, (nav) => {
+        const post2 = nav.blog.children['2024'].children.post2;
+        
+        // By path (with or without trailing slash), key path or predicate
+        expect(findNode(nav, '/blog/2024/post2/')).to.equal(post2);
+        expect(findNode(nav, '/blog/2024/post2')).to.equal(post2);
+        expect(findNode(nav, 'blog/2024/post2')).to.equal(post2);
+        expect(findNode(nav, node => node.title === 'Post2')).to.equal(post2);
+        expect(findNode(nav, '/missing/')).to.be.null;
+        
+        expect(getAncestors(nav, post2).map(node => node.path)).to.deep.equal(['/blog/', '/blog/2024/']);
+        expect(getAncestors(nav, '/about/')).to.deep.equal([]);
+        
+        expect(getDescendants(nav, '/blog/').map(node => node.path))
+          .to.have.ordered.members(['/blog/2024/', '/blog/2024/post2/', '/blog/post1/']);
+        expect(getDescendants(nav, '/missing/')).to.deep.equal([]);
+        
+        expect(flatten(nav)).to.have.lengthOf(6);
+        
+        const visited = [];
+        walk(nav, (node, context) => {
+          visited.push(`${context.keyPath}@${context.depth}`);
+          return context.key !== '2024';
+        });
+        expect(visited).to.include('blog/2024@1');
+        expect(visited).to.not.include('blog/2024/post2@2');
+      });
+    });
+
+    it('should map and filter trees without changing the original', (done) => {
+      buildTree('object', done, (nav) => {
+        const upper = mapTree(nav, node => ({ title: node.title.toUpperCase(), path: node.path }));
+        expect(upper.blog.children['2024'].children.post2).to.deep.equal({
+          title: 'POST2',
+          path: '/blog/2024/post2/',
+          children: {}
+        });
+        expect(nav.blog.title).to.equal('Blog');
+        
+        const shallow = filterTree(nav, (node, context) => context.depth < 1);
+        expect(Object.keys(shallow)).to.have.members(['home', 'about', 'blog']);
+        expect(shallow.blog.children).to.deep.equal({});
+        expect(nav.blog.children).to.have.property('post1');
+      });
+    });
+
+    it('should work on array shaped trees', (done) => {
+      buildTree('array', done, (nav) => {
+        expect(findNode(nav, 'blog/2024/post2').path).to.equal('/blog/2024/post2/');
+        
+        const withoutPosts = filterTree(nav, node => !node.path.includes('post'));
+        expect(withoutPosts).to.be.an('array');
+        const blog = withoutPosts.find(node => node.key === 'blog');
+        expect(blog.children.map(node => node.key)).to.deep.equal(['2024']);
+        expect(blog.children[0].children).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('HTML Rendering', () => {
+    const tree = {
+      home: { title: 'Home', path: '/', children: {} },
+      docs: {
+        title: 'Docs & Guides',
+        path: '/docs/',
+        children: {
+          setup: { title: '<Setup>', path: '/docs/setup/', children: {} }
+        }
+      }
+    };
+
+    it('should render an escaped, accessible navigation tree', () => {
+      const html = renderNav(tree, { currentPath: '/docs/setup/' });
+      
+      expect(html).to.equal(
+        '<nav aria-label="Main"><ul class="nav-list">' +
+        '<li class="nav-item"><a class="nav-link" href="/">Home</a></li>' +
+        '<li class="nav-item"><a class="nav-link" href="/docs/">Docs &amp; Guides</a>' +
+        '<ul class="nav-list"><li class="nav-item is-current">' +
+        '<a class="nav-link" href="/docs/setup/" aria-current="page">&lt;Setup&gt;</a></li></ul>' +
+        '</li></ul></nav>'
+      );
+    });
+
+    it('should support depth limits, class names, labels and item templates', () => {
+      const html = renderNav(tree, {
+        maxDepth: 1,
+        label: 'Sidebar',
+        classNames: { nav: 'sidebar', list: 'menu', item: '', link: 'menu-link' },
+        renderItem: (item, context) => `<li data-depth="${context.depth}">${context.escape(item.title)}${context.children}</li>`
+      });
+      
+      expect(html).to.equal(
+        '<nav class="sidebar" aria-label="Sidebar"><ul class="menu">' +
+        '<li data-depth="0">Home</li><li data-depth="0">Docs &amp; Guides</li></ul></nav>'
+      );
+      expect(renderNav({})).to.equal('');
+    });
+
+    it('should render breadcrumbs with the last item as the current page', () => {
+      const html = renderBreadcrumb([
+        { title: 'Home', path: '/' },
+        { title: 'Docs', path: '/docs/' },
+        { title: 'Setup', path: '/docs/setup/' }
+      ]);
+      
+      expect(html).to.equal(
+        '<nav aria-label="Breadcrumb"><ol class="breadcrumb">' +
+        '<li class="breadcrumb-item"><a class="breadcrumb-link" href="/">Home</a></li>' +
+        '<li class="breadcrumb-item"><a class="breadcrumb-link" href="/docs/">Docs</a></li>' +
+        '<li class="breadcrumb-item is-current">' +
+        '<a class="breadcrumb-link" href="/docs/setup/" aria-current="page">Setup</a></li>' +
+        '</ol></nav>'
+      );
+    });
+
+    it('should write rendered HTML to each file with renderHtml', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/setup.md': { contents: Buffer.from('# Setup') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        renderHtml: { nav: { label: 'Site' } }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const navigation = files['docs/setup.md'].navigation;
+          expect(navigation.html).to.include('<nav aria-label="Site">');
+          expect(navigation.html).to.include('href="/docs/setup/" aria-current="page"');
+          expect(navigation.html.match(/aria-current/g)).to.have.lengthOf(1);
+          expect(navigation.breadcrumbHtml).to.include('href="/docs/setup/" aria-current="page">Setup</a>');
+          
+          // The home page is current in its own breadcrumb
+          expect(files['index.md'].navigation.breadcrumbHtml).to.include('href="/" aria-current="page"');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should render the tree once and only render each page\'s trail again', async () => {
+      const files = createFlatSection(200);
+      const metadata = {};
+      let renderedItems = 0;
+      const renderItem = (item, context) => {
+        renderedItems += 1;
+        return `<li${context.isCurrent ? ' aria-current="page"' : ''}>${item.title}${context.children}</li>`;
+      };
+
+      await autonav({ renderHtml: { nav: { renderItem } } })(files, createMetalsmithMock(metadata));
+
+      // 202 items once, then the home and blog pages' own items and each post with the blog section
+      expect(renderedItems).to.equal(202 + 2 + 200 * 2);
+      
+      const html = files['blog/post7.md'].navigation.html;
+      expect(html.match(/aria-current/g)).to.have.lengthOf(1);
+      expect(html).to.include('<li aria-current="page">Post7</li>');
+      expect(html).to.equal(renderNav(metadata.nav, { renderItem, currentPath: '/blog/post7/' }));
+    });
+  });
+
+  describe('Active Navigation', () => {
+    const createFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home') },
+      'about.md': { contents: Buffer.from('# About') },
+      'docs/index.md': { contents: Buffer.from('# Docs') },
+      'docs/guides/index.md': { contents: Buffer.from('# Guides') },
+      'docs/guides/setup.md': { contents: Buffer.from('# Setup') },
+      'blog/index.md': { contents: Buffer.from('# Blog') },
+      'blog/post1.md': { contents: Buffer.from('# Post 1') }
+    });
+
+    it('should mark the active page and trail and share unchanged subtrees', (done) => {
+      const files = createFiles();
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ activeNav: true })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const view = files['docs/guides/setup.md'].navigation.nav;
+          expect(view.docs).to.include({ isActive: false, inActiveTrail: true });
+          expect(view.docs.children.guides).to.include({ isActive: false, inActiveTrail: true });
+          expect(view.docs.children.guides.children.setup).to.include({ isActive: true, inActiveTrail: true });
+          
+          // Nodes off the trail are the shared tree nodes
+          expect(view.blog).to.equal(metadata.nav.blog);
+          expect(view.blog).to.not.have.property('isActive');
+          expect(files['about.md'].navigation.nav.docs).to.equal(metadata.nav.docs);
+          
+          // The published tree is not modified
+          expect(metadata.nav.docs).to.not.have.property('inActiveTrail');
+          
+          // Index pages are active on their directory node
+          expect(files['blog/index.md'].navigation.nav.blog.isActive).to.be.true;
+          expect(files['index.md'].navigation.nav.home.isActive).to.be.true;
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should only expand the active branch in accordion mode', (done) => {
+      const files = createFiles();
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ activeNav: 'accordion', activeNavKey: 'menu' })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const view = files['docs/guides/setup.md'].navigation.menu;
+          expect(Object.keys(view.docs.children)).to.deep.equal(['guides']);
+          expect(view.blog.children).to.deep.equal({});
+          expect(view.blog.hasChildren).to.be.true;
+          
+          // Collapsed copies are shared between pages
+          expect(files['about.md'].navigation.menu.blog).to.equal(view.blog);
+          expect(files['about.md'].navigation.menu.docs.children).to.deep.equal({});
+          
+          // The active page's own children are expanded
+          expect(Object.keys(files['blog/index.md'].navigation.menu.blog.children)).to.deep.equal(['post1']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should share off-trail levels on large flat sections', async () => {
+      const files = { ...createFlatSection(1000), 'about.md': { contents: Buffer.from('# About') } };
+      const metadata = {};
+      await autonav({ activeNav: true })(files, createMetalsmithMock(metadata));
+      
+      // Pages outside the section share its level
+      const about = files['about.md'].navigation.nav;
+      expect(files['index.md'].navigation.nav.blog.children).to.equal(about.blog.children);
+      
+      // Pages inside it only get their own trail node
+      const post1 = files['blog/post1.md'].navigation.nav.blog.children;
+      const post2 = files['blog/post2.md'].navigation.nav.blog.children;
+      expect(Object.keys(post1)).to.have.lengthOf(1000);
+      expect(post1.post1).to.include({ isActive: true, inActiveTrail: true });
+      expect(post1.post2).to.equal(about.blog.children.post2);
+      expect(post2.post999).to.equal(post1.post999);
+    });
+
+    it('should keep the views read-only, so a write to one page cannot reach another', async () => {
+      const files = createFlatSection(2);
+      const metadata = {};
+      await autonav({ activeNav: true })(files, createMetalsmithMock(metadata));
+      
+      const post0 = files['blog/post0.md'].navigation.nav;
+      const post1 = files['blog/post1.md'].navigation.nav;
+      expect(() => { post0.extra = {}; }).to.throw(TypeError, 'activeNav views are read-only');
+      expect(() => { delete post0.blog.children.post1; }).to.throw(TypeError, 'activeNav views are read-only');
+      expect(() => { post0.blog.children.post0.title = 'Changed'; }).to.throw(TypeError);
+      expect(() => { files['index.md'].navigation.nav.extra = {}; }).to.throw(TypeError);
+      
+      expect(post1).to.not.have.property('extra');
+      expect(Object.keys(post1.blog.children)).to.deep.equal(['post0', 'post1']);
+      expect(post1.blog.children.post0.title).to.equal('Post0');
+      
+      // The views still serialize like plain objects
+      expect(JSON.parse(JSON.stringify(post0)).blog.children.post0).to.include({ isActive: true });
+    });
+  });
+
+  describe('Breadcrumb JSON-LD', () => {
+    it('should add a BreadcrumbList with positions and absolute URLs', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/setup.md': { contents: Buffer.from('# Setup') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        breadcrumbJsonLd: true,
+        siteUrl: 'https://example.com/',
+        basePath: '/project/'
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(files['docs/setup.md'].navigation.breadcrumbJsonLd).to.deep.equal({
+            '@context': 'https://schema.org',
+            '@type': 'BreadcrumbList',
+            itemListElement: [
+              { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://example.com/project/' },
+              { '@type': 'ListItem', position: 2, name: 'Docs', item: 'https://example.com/project/docs/' },
+              { '@type': 'ListItem', position: 3, name: 'Setup', item: 'https://example.com/project/docs/setup/' }
+            ]
+          });
+          
+          // Index pages end with their own section
+          const docs = files['docs/index.md'].navigation.breadcrumbJsonLd.itemListElement;
+          expect(docs.map(item => item.position)).to.deep.equal([1, 2]);
+          expect(docs[1].item).to.equal('https://example.com/project/docs/');
+          
+          expect(files['index.md'].navigation.breadcrumbJsonLd.itemListElement).to.have.lengthOf(1);
+          
+          // Nothing is injected unless asked for
+          expect(files['docs/setup.md'].contents.toString()).to.equal('# Setup');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should inject the JSON-LD into the head of HTML pages', (done) => {
+      const files = {
+        'index.html': { contents: Buffer.from('<html><head><title>Home</title></head><body></body></html>') },
+        'about.html': { contents: Buffer.from('<p>No head</p>') },
+        'news.html': {
+          contents: Buffer.from('<html><head></head></html>'),
+          navigation: { navLabel: 'News </script>' }
+        }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ breadcrumbJsonLd: 'inject', siteUrl: 'https://example.com' })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const home = files['index.html'].contents.toString();
+          expect(home).to.include('<script type="application/ld+json">{"@context":"https://schema.org"');
+          expect(home.indexOf('application/ld+json')).to.be.below(home.indexOf('</head>'));
+          
+          expect(files['about.html'].contents.toString()).to.equal('<p>No head</p>');
+          
+          // Titles can't close the script element
+          const news = files['news.html'].contents.toString();
+          expect(news).to.include('News \\u003c/script>');
+          expect(news.match(/<\/script>/g)).to.have.lengthOf(1);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should require siteUrl', (done) => {
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ breadcrumbJsonLd: true })({ 'index.md': { contents: Buffer.from('') } }, metalsmithMock, (err) => {
+        try {
+          expect(err).to.be.an('error');
+          expect(err.message).to.include('siteUrl');
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Sitemap', () => {
+    it('should write sitemap.xml from the navigation tree', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home'), lastmod: new Date('2024-05-01T00:00:00Z') },
+        'about.md': { contents: Buffer.from('# About'), changefreq: 'monthly', priority: 0.8 },
+        'private.md': { contents: Buffer.from('# Private'), noindex: true },
+        'hidden.md': { contents: Buffer.from('# Hidden'), navExclude: true },
+        'blog/post1.md': { contents: Buffer.from('# Post 1'), lastmod: '2024-06-01' },
+        'style.css': { contents: Buffer.from('') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        siteUrl: 'https://example.com',
+        sitemap: { changefreq: 'weekly' }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const xml = files['sitemap.xml'].contents.toString();
+          expect(xml).to.match(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<urlset xmlns="http:\/\/www.sitemaps.org\/schemas\/sitemap\/0.9">/);
+          expect(xml).to.include(
+            '<url><loc>https://example.com/</loc><lastmod>2024-05-01T00:00:00.000Z</lastmod>' +
+            '<changefreq>weekly</changefreq></url>'
+          );
+          expect(xml).to.include(
+            '<url><loc>https://example.com/about/</loc><changefreq>monthly</changefreq><priority>0.8</priority></url>'
+          );
+          expect(xml).to.include('<loc>https://example.com/blog/post1/</loc><lastmod>2024-06-01</lastmod>');
+          
+          // noindex and excluded pages are skipped, and so is the blog directory without a page
+          expect(xml).to.not.include('private');
+          expect(xml).to.not.include('hidden');
+          expect(xml).to.not.include('<loc>https://example.com/blog/</loc>');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should split large sitemaps into a sitemap index', (done) => {
+      const files = {};
+      for (let i = 1; i <= 5; i++) {
+        files[`page${i}.md`] = { contents: Buffer.from(`# Page ${i}`) };
+      }
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        siteUrl: 'https://example.com',
+        basePath: '/project/',
+        sitemap: { limit: 2 }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const index = files['sitemap.xml'].contents.toString();
+          expect(index).to.include('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+          expect(index).to.include('<sitemap><loc>https://example.com/project/sitemap-1.xml</loc></sitemap>');
+          expect(index).to.include('<sitemap><loc>https://example.com/project/sitemap-3.xml</loc></sitemap>');
+          
+          expect(files['sitemap-1.xml'].contents.toString().match(/<url>/g)).to.have.lengthOf(2);
+          expect(files['sitemap-3.xml'].contents.toString().match(/<url>/g)).to.have.lengthOf(1);
+          expect(files['sitemap-1.xml'].contents.toString()).to.include('https://example.com/project/page');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Navigation JSON Files', () => {
+    const createFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home') },
+      'about.md': { contents: Buffer.from('# About') },
+      'docs/index.md': { contents: Buffer.from('# Docs') },
+      'docs/setup.md': { contents: Buffer.from('# Setup') }
+    });
+
+    it('should write the tree and section menus as JSON with a content hash', (done) => {
+      const files = createFiles();
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        navJson: true,
+        sectionMenus: { '/docs/': 'docsMenu' }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const main = JSON.parse(files['nav/main.json'].contents.toString());
+          expect(main.hash).to.match(/^[0-9a-f]{12}$/);
+          expect(main.tree).to.deep.equal(JSON.parse(JSON.stringify(metadata.nav)));
+          
+          const docsMenu = JSON.parse(files['nav/docsMenu.json'].contents.toString());
+          expect(Object.keys(docsMenu.tree)).to.deep.equal(['setup']);
+          
+          expect(metadata.navFiles.main).to.deep.equal({ path: '/nav/main.json', hash: main.hash });
+          expect(metadata.navFiles.docsMenu.hash).to.equal(docsMenu.hash);
+          expect(docsMenu.hash).to.not.equal(main.hash);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should shard trees per section and write every configuration', (done) => {
+      const files = createFiles();
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        options: { navJson: { dir: '/menus/', shard: true }, shape: 'array', basePath: '/project/' },
+        configs: {
+          main: { navKey: 'nav' },
+          footer: { navKey: 'footerNav' }
+        }
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const main = JSON.parse(files['menus/main.json'].contents.toString());
+          const docs = main.tree.find(node => node.key === 'docs');
+          expect(docs.children).to.deep.equal([]);
+          expect(docs.shard.path).to.equal('/project/menus/main/docs.json');
+          
+          const shard = JSON.parse(files['menus/main/docs.json'].contents.toString());
+          expect(shard.hash).to.equal(docs.shard.hash);
+          expect(shard.tree.map(node => node.key)).to.deep.equal(['setup']);
+          
+          // Nodes without children are not sharded
+          expect(files['menus/main/about.json']).to.be.undefined;
+          
+          expect(files['menus/footer.json']).to.exist;
+          expect(metadata.navFiles.footer.shards.docs.path).to.equal('/project/menus/footer/docs.json');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Manual Items', () => {
+    it('should merge manual and external items into the tree', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home'), navigation: { navIndex: 1 } },
+        'docs/index.md': { contents: Buffer.from('# Docs'), navigation: { navIndex: 2 } },
+        'docs/setup.md': { contents: Buffer.from('# Setup'), navigation: { navIndex: 2 } },
+        'api/v1.md': { contents: Buffer.from('# V1') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({
+        basePath: '/project/',
+        renderHtml: true,
+        items: [
+          { title: 'Store', url: 'https://store.example.com', index: 3, target: '_blank', rel: 'noopener' },
+          { title: 'Changelog', url: '/changelog/', parent: '/docs/', index: 1 },
+          { title: 'API Reference', url: '/api/', index: 0 },
+          { title: 'Status', url: 'https://status.example.com', parent: 'resources' },
+          { title: 'Resources', url: '/resources/', key: 'resources', index: 4 }
+        ]
+      })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const nav = metadata.nav;
+          expect(Object.keys(nav)).to.deep.equal(['api', 'home', 'docs', 'store', 'resources']);
+          expect(nav.store).to.include({
+            title: 'Store',
+            path: 'https://store.example.com',
+            external: true,
+            target: '_blank',
+            rel: 'noopener'
+          });
+          
+          // Site paths get the basePath and are sorted with the pages
+          expect(Object.keys(nav.docs.children)).to.deep.equal(['changelog', 'setup']);
+          expect(nav.docs.children.changelog).to.include({ path: '/project/changelog/', external: false });
+          
+          // Manual items can be parents of other manual items, in any order
+          expect(nav.resources.children.status.path).to.equal('https://status.example.com');
+          
+          // A manual item names a directory without an index page, also in breadcrumbs
+          expect(nav.api).to.include({ title: 'API Reference', manual: true });
+          expect(nav.api.children).to.have.property('v1');
+          expect(files['api/v1.md'].breadcrumb[1]).to.deep.equal({ title: 'API Reference', path: '/project/api/' });
+          
+          // External links are rendered with their attributes and skipped in the reading order
+          expect(files['index.md'].navigation.html)
+            .to.include('<a class="nav-link" href="https://store.example.com" target="_blank" rel="noopener">Store</a>');
+          expect(files['docs/setup.md'].navigation.next.key).to.equal('resources');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should read items from a JSON data file and report missing parents', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'data/nav-items.json': {
+          contents: Buffer.from(JSON.stringify([{ title: 'Status', url: 'https://status.example.com' }]))
+        }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ items: 'data/nav-items.json' })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.status.external).to.be.true;
+        } catch (error) {
+          return done(error);
+        }
+        
+        autonav({ items: [{ title: 'Orphan', url: '/orphan/', parent: '/missing/' }] })(files, metalsmithMock, (error) => {
+          try {
+            expect(error.message).to.equal('metalsmith-autonav: parent "/missing/" of nav item "Orphan" not found');
+            done();
+          } catch (assertion) {
+            done(assertion);
+          }
+        });
+      });
+    });
+  });
+
+  describe('Parent Override', () => {
+    it('should move pages under the parent named in their frontmatter', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'docs/guides/index.md': { contents: Buffer.from('# Guides') },
+        'misc/faq.md': { contents: Buffer.from('# FAQ'), navigation: { parent: '/docs/guides/' } },
+        'misc/tips.md': { contents: Buffer.from('# Tips'), navigation: { parent: 'docs' } },
+        'legacy/index.md': { contents: Buffer.from('# Legacy'), navigation: { parent: '/docs/' } },
+        'legacy/old.md': { contents: Buffer.from('# Old') }
+      };
+
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      autonav({ configs: { main: { navKey: 'nav' }, footer: { navKey: 'footerNav' } } })(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const docs = metadata.nav.docs;
+          expect(docs.children.guides.children.faq).to.include({ path: '/misc/faq/', depth: 2, parentPath: '/docs/guides/' });
+          expect(docs.children.tips.path).to.equal('/misc/tips/');
+          expect(metadata.nav.misc.children).to.deep.equal({});
+          
+          // Index pages move with their section
+          expect(docs.children.legacy.children.old.path).to.equal('/legacy/old/');
+          expect(metadata.nav).to.not.have.property('legacy');
+          
+          // Breadcrumbs and page context follow the new parent
+          expect(files['misc/faq.md'].breadcrumb.map(item => item.path))
+            .to.deep.equal(['/', '/docs/', '/docs/guides/', '/misc/faq/']);
+          expect(files['legacy/old.md'].breadcrumb.map(item => item.title))
+            .to.deep.equal(['Home', 'Docs', 'Legacy', 'Old']);
+          expect(files['misc/faq.md'].navigation.parent.path).to.equal('/docs/guides/');
+          
+          // Every configuration sees the override
+          expect(metadata.footerNav.docs.children.guides.children).to.have.property('faq');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should keep the override when the page context replaced it', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'misc/tips.md': { contents: Buffer.from('# Tips'), navigation: { parent: '/docs/' } }
+      };
+      const metadata = {};
+      
+      const metalsmithMock = {
+        metadata: () => metadata,
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      // A second instance (or a rebuild in watch mode) sees the parent node written by the first
+      autonav()(files, metalsmithMock, (err) => {
+        if (err) {
+          return done(err);
+        }
+        
+        try {
+          expect(files['misc/tips.md'].navigation.parent.path).to.equal('/docs/');
+        } catch (error) {
+          return done(error);
+        }
+        
+        autonav()(files, metalsmithMock, (secondErr) => {
+          if (secondErr) {
+            return done(secondErr);
+          }
+          
+          try {
+            expect(Object.keys(metadata.nav.docs.children)).to.deep.equal(['tips']);
+            expect(files['misc/tips.md'].navigation.parent.path).to.equal('/docs/');
+            expect(files['misc/tips.md'].breadcrumb.map(item => item.path))
+              .to.deep.equal(['/', '/docs/', '/misc/tips/']);
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+
+    it('should drop the override when the property is removed', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'docs/index.md': { contents: Buffer.from('# Docs') },
+        'misc/tips.md': { contents: Buffer.from('# Tips'), navigation: { parent: '/docs/' } }
+      };
+      const metadata = {};
+
+      autonav()(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+        
+        // A later plugin or rebuild removes the override
+        delete files['misc/tips.md'].navigation.parent;
+        
+        autonav()(files, createMetalsmithMock(metadata), (secondErr) => {
+          if (secondErr) {
+            return done(secondErr);
+          }
+          
+          try {
+            expect(metadata.nav.docs.children).to.deep.equal({});
+            expect(Object.keys(metadata.nav.misc.children)).to.deep.equal(['tips']);
+            expect(files['misc/tips.md'].navigation.parent.path).to.equal('/misc/');
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+
+    it('should report missing parents and cycles', (done) => {
+      const metalsmithMock = {
+        metadata: () => ({}),
+        source: () => 'src',
+        destination: () => 'build',
+        debug: () => () => {}
+      };
+
+      const missing = {
+        'faq.md': { contents: Buffer.from('# FAQ'), navigation: { parent: '/support/' } }
+      };
+      
+      autonav()(missing, metalsmithMock, (missingErr) => {
+        try {
+          expect(missingErr.message).to.equal('metalsmith-autonav: parent "/support/" of "faq.md" not found');
+        } catch (error) {
+          return done(error);
+        }
+        
+        const cycle = {
+          'a/index.md': { contents: Buffer.from('# A'), navigation: { parent: '/b/' } },
+          'b/index.md': { contents: Buffer.from('# B'), navigation: { parent: '/a/' } }
+        };
+        
+        autonav()(cycle, metalsmithMock, (cycleErr) => {
+          try {
+            expect(cycleErr.message).to.equal('metalsmith-autonav: parent "/a/" of "b/index.md" would create a cycle');
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+  });
+
+  describe('Virtual Nodes', () => {
+    const virtualFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home'), navigation: { navIndex: 0 } },
+      'about.md': { contents: Buffer.from('# About'), navigation: { navIndex: 5 } },
+      'guides/setup.md': { contents: Buffer.from('# Setup'), navigation: { navIndex: 3 } },
+      'guides/install.md': { contents: Buffer.from('# Install'), navigation: { navIndex: 2 } }
+    });
+    
+    it('should flag directories without an index page and sort them by their children', (done) => {
+      const files = virtualFiles();
+      const metadata = {};
+
+      autonav()(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const guides = metadata.nav.guides;
+          expect(guides).to.include({ virtual: true, index: 2, path: '/guides/' });
+          expect(metadata.nav.about).to.not.have.property('virtual');
+          expect(Object.keys(metadata.nav)).to.deep.equal(['home', 'guides', 'about']);
+          
+          // Virtual nodes are not pages, but can be looked up by their own path
+          expect(metadata.navByPath['/guides/']).to.equal(guides);
+          expect(files['guides/install.md'].navigation.prev.path).to.equal('/');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should link virtual nodes to their first child or to nothing', (done) => {
+      const files = virtualFiles();
+      const metadata = {};
+
+      autonav({ virtualNodes: 'firstChild' })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.guides.path).to.equal('/guides/install/');
+          expect(metadata.navByPath['/guides/install/'].title).to.equal('Install');
+        } catch (error) {
+          return done(error);
+        }
+        
+        const unlinkedFiles = virtualFiles();
+        const unlinked = {};
+        
+        autonav({ virtualNodes: 'noLink', renderHtml: true })(unlinkedFiles, createMetalsmithMock(unlinked), (unlinkedErr) => {
+          if (unlinkedErr) {
+            return done(unlinkedErr);
+          }
+          
+          try {
+            expect(unlinked.nav.guides.path).to.equal(null);
+            expect(unlinkedFiles['guides/setup.md'].breadcrumb.map(item => item.title))
+              .to.deep.equal(['Home', 'Guides', 'Setup']);
+            expect(unlinkedFiles['about.md'].navigation.html)
+              .to.include('<span class="nav-link">Guides</span>');
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+
+    it('should not give unlinked levels an absolute URL', (done) => {
+      const files = virtualFiles();
+      const metadata = {};
+
+      autonav({ virtualNodes: 'noLink', siteUrl: 'https://example.com', breadcrumbJsonLd: true })(
+        files, createMetalsmithMock(metadata), (err) => {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            expect(metadata.nav.guides).to.not.have.property('url');
+            
+            const [home, guides, setup] = files['guides/setup.md'].breadcrumb;
+            expect(home.url).to.equal('https://example.com/');
+            expect(guides).to.include({ title: 'Guides', path: null });
+            expect(guides).to.not.have.property('url');
+            expect(setup.url).to.equal('https://example.com/guides/setup/');
+            
+            // The level is listed by name only
+            const items = files['guides/setup.md'].navigation.breadcrumbJsonLd.itemListElement;
+            expect(items[1]).to.deep.equal({ '@type': 'ListItem', position: 2, name: 'Guides' });
+            expect(items[2].item).to.equal('https://example.com/guides/setup/');
+            
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+    });
+
+    it('should omit virtual levels and lift their children', (done) => {
+      const files = virtualFiles();
+      const metadata = {};
+
+      autonav({ virtualNodes: 'omit' })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(Object.keys(metadata.nav)).to.deep.equal(['home', 'install', 'setup', 'about']);
+          expect(metadata.nav.install).to.include({ depth: 0, parentPath: null });
+          expect(files['guides/setup.md'].breadcrumb.map(item => item.title))
+            .to.deep.equal(['Home', 'Setup']);
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should reject unknown policies', (done) => {
+      autonav({ virtualNodes: 'hide' })(virtualFiles(), createMetalsmithMock({}), (err) => {
+        try {
+          expect(err.message).to.equal(
+            'metalsmith-autonav: unknown virtualNodes "hide", expected \'directory\', \'firstChild\', \'noLink\' or \'omit\''
+          );
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Landing Pages', () => {
+    const sectionFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home'), navigation: { navIndex: 0 } },
+      'about.md': { contents: Buffer.from('# About'), navigation: { navIndex: 5 } },
+      'guides/setup.md': { contents: Buffer.from('# Setup'), navigation: { navIndex: 3 } },
+      'guides/install.md': { contents: Buffer.from('# Install'), navigation: { navIndex: 2 } },
+      'notes/one.md': { contents: Buffer.from('# One') }
+    });
+    
+    it('should create index pages for directories without one', (done) => {
+      const files = sectionFiles();
+      const metadata = {};
+      const options = {
+        landingPages: {
+          layout: 'section.njk',
+          contents: (node, dirPath) => `<h1>${node.title}</h1><p>${dirPath}</p>`
+        }
+      };
+
+      autonav(options)(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const landing = files['guides/index.html'];
+          expect(landing).to.include({ title: 'Guides', layout: 'section.njk', path: '/guides/' });
+          expect(landing.contents.toString()).to.equal('<h1>Guides</h1><p>guides</p>');
+          expect(landing.navigation.navIndex).to.equal(2);
+          expect(landing.navigation.children.map(child => child.title)).to.deep.equal(['Install', 'Setup']);
+          expect(files).to.have.property('notes/index.html');
+          
+          // The section node is a page now, so breadcrumbs and reading order link to it
+          expect(metadata.nav.guides).to.not.have.property('virtual');
+          expect(metadata.navByPath['/guides/']).to.equal(metadata.nav.guides);
+          expect(files['guides/install.md'].breadcrumb.map(item => item.path))
+            .to.deep.equal(['/', '/guides/', '/guides/install/']);
+          expect(files['guides/install.md'].navigation.prev.path).to.equal('/guides/');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should only create pages for qualifying directories', (done) => {
+      const files = sectionFiles();
+      const metadata = {};
+
+      autonav({
+        configs: { main: { navKey: 'nav' }, footer: { navKey: 'footerNav' } },
+        options: { landingPages: { filter: ['/guides/'] } }
+      })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(files['guides/index.html'].contents.toString()).to.equal('');
+          expect(files['guides/index.html']).to.not.have.property('layout');
+          expect(files).to.not.have.property('notes/index.html');
+          expect(metadata.nav.notes.virtual).to.equal(true);
+          
+          // Later configurations see the page like any other
+          expect(Object.keys(metadata.footerNav)).to.deep.equal(['home', 'guides', 'about', 'notes']);
+          expect(metadata.footerNav.guides).to.not.have.property('virtual');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should not create pages for directories with an index page left out of navigation', (done) => {
+      const files = {
+        ...sectionFiles(),
+        'guides/index.md': { contents: Buffer.from('# Guides'), draft: true },
+        'notes/index.md': { contents: Buffer.from('# Notes'), navigation: { navExclude: true } },
+        'drafts/index.md': { contents: Buffer.from('# Drafts') },
+        'drafts/idea.md': { contents: Buffer.from('# Idea') }
+      };
+      const metadata = {};
+
+      autonav({ landingPages: true, pathFilter: (filePath) => filePath !== 'drafts/index.md' })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(files).to.not.have.property('guides/index.html');
+          expect(files).to.not.have.property('notes/index.html');
+          expect(files).to.not.have.property('drafts/index.html');
+          expect(metadata.nav.guides.virtual).to.equal(true);
+          expect(metadata.nav.notes.virtual).to.equal(true);
+          expect(metadata.nav.drafts.virtual).to.equal(true);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Depth Limit and Collapsing', () => {
+    const deepFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home') },
+      'api/v2/reference/users.md': { contents: Buffer.from('# Users'), navigation: { navIndex: 1 } },
+      'api/v2/reference/orders.md': { contents: Buffer.from('# Orders'), navigation: { navIndex: 2 } },
+      'docs/index.md': { contents: Buffer.from('# Docs') },
+      'docs/guides/index.md': { contents: Buffer.from('# Guides') },
+      'docs/guides/setup/index.md': { contents: Buffer.from('# Setup') },
+      'docs/guides/setup/linux.md': { contents: Buffer.from('# Linux') }
+    });
+    
+    it('should merge chains of single-child directories into their child', (done) => {
+      const files = deepFiles();
+      const metadata = {};
+
+      autonav({ collapseSingleChild: true })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // The collapsed node keeps the directory's place (navIndex 1, from its children)
+          expect(Object.keys(metadata.nav)).to.deep.equal(['reference', 'home', 'docs']);
+          expect(metadata.nav.reference).to.include({ path: '/api/v2/reference/', depth: 0, childCount: 2 });
+          expect(metadata.nav).to.not.have.property('api');
+          
+          // Directories with an index page are kept
+          expect(metadata.nav.docs.children.guides.children).to.have.property('setup');
+          
+          // Breadcrumbs follow the collapsed structure
+          expect(files['api/v2/reference/users.md'].breadcrumb.map(item => item.title))
+            .to.deep.equal(['Home', 'Reference', 'Users']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should cut published trees and section menus at maxDepth', (done) => {
+      const files = deepFiles();
+      const metadata = {};
+
+      autonav({
+        maxDepth: 2,
+        activeNav: true,
+        renderHtml: true,
+        sectionMenus: { '/docs/': 'docsMenu' }
+      })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.docs.children.guides.children).to.deep.equal({});
+          // The last level keeps the counts of the full tree
+          expect(metadata.nav.docs.children.guides.hasChildren).to.equal(true);
+          expect(metadata.nav.docs.children.guides.childCount).to.be.above(0);
+          expect(metadata.nav.docs.children.guides.descendantCount).to.be.above(0);
+          
+          // Section menus count levels from the section
+          expect(metadata.docsMenu.guides.children.setup.children).to.deep.equal({});
+          expect(metadata.docsMenu.guides.children).to.have.property('setup');
+          
+          // The full tree is still used for lookups and breadcrumbs
+          expect(metadata.navByPath).to.have.property('/docs/guides/setup/linux/');
+          expect(files['docs/guides/setup/linux.md'].breadcrumb).to.have.lengthOf(5);
+          
+          // Per-page views and rendered HTML are cut too
+          const linux = files['docs/guides/setup/linux.md'].navigation;
+          expect(linux.nav.docs.children.guides).to.include({ inActiveTrail: true });
+          expect(linux.nav.docs.children.guides.children).to.deep.equal({});
+          expect(linux.html).to.include('Guides').and.to.not.include('Setup');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should keep lifted pages whose key is already used, under their key path', (done) => {
+      const files = {
+        'index.md': { contents: Buffer.from('# Home') },
+        'intro.md': { contents: Buffer.from('# Intro') },
+        'api/v1/intro.md': { contents: Buffer.from('# API Intro') }
+      };
+      const metadata = {};
+
+      autonav({
+        configs: { collapsed: { navKey: 'nav', collapseSingleChild: true }, omitted: { navKey: 'flatNav', virtualNodes: 'omit' } }
+      })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          [metadata.nav, metadata.flatNav].forEach(nav => {
+            expect(Object.keys(nav)).to.deep.equal(['home', 'intro', 'api/v1/intro']);
+            expect(nav.intro.path).to.equal('/intro/');
+            expect(nav['api/v1/intro']).to.include({ path: '/api/v1/intro/', key: 'api/v1/intro', depth: 0 });
+          });
+          expect(files['api/v1/intro.md'].breadcrumb.map(item => item.path)).to.deep.equal(['/', '/api/v1/intro/']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Drafts and Scheduled Pages', () => {
+    const scheduledFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home') },
+      'about.md': { contents: Buffer.from('# About') },
+      'wip.md': { contents: Buffer.from('# WIP'), draft: true },
+      'news/index.md': { contents: Buffer.from('# News'), draft: true },
+      'news/launch.md': { contents: Buffer.from('# Launch'), publishDate: '2025-06-01' },
+      'news/sale.md': { contents: Buffer.from('# Sale'), expiryDate: new Date('2025-03-01') },
+      'news/recap.md': { contents: Buffer.from('# Recap'), publishDate: '2025-01-01', expiryDate: '2026-01-01' }
+    });
+    
+    it('should leave out drafts and pages outside their publishing window', (done) => {
+      const files = scheduledFiles();
+      const metadata = {};
+
+      autonav({ buildDate: '2025-04-01' })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav).to.have.property('about');
+          expect(metadata.nav).to.not.have.property('wip');
+          expect(Object.keys(metadata.nav.news.children)).to.deep.equal(['recap']);
+          
+          // The draft landing page is left out too
+          expect(metadata.nav.news.virtual).to.equal(true);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should keep drafts flagged in preview mode and honor custom keys', (done) => {
+      const files = scheduledFiles();
+      files['about.md'].unlisted = true;
+      const metadata = {};
+
+      autonav({
+        preview: true,
+        draftKey: 'unlisted',
+        buildDate: new Date('2025-07-01')
+      })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(metadata.nav.about.draft).to.equal(true);
+          expect(metadata.nav.wip).to.not.have.property('draft');
+          expect(Object.keys(metadata.nav.news.children)).to.have.members(['launch', 'recap']);
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should mark draft landing pages and report invalid dates', (done) => {
+      const files = scheduledFiles();
+      const metadata = {};
+
+      autonav({ preview: true, buildDate: '2025-04-01' })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+        
+        try {
+          expect(metadata.nav.news).to.include({ draft: true, title: 'News' });
+          expect(metadata.nav.wip.draft).to.equal(true);
+        } catch (error) {
+          return done(error);
+        }
+        
+        const invalid = { 'post.md': { contents: Buffer.from('# Post'), publishDate: 'someday' } };
+        autonav()(invalid, createMetalsmithMock({}), (invalidErr) => {
+          try {
+            expect(invalidErr.message).to.equal('metalsmith-autonav: invalid publishDate "someday" in "post.md"');
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+  });
+
+  describe('Section Exclusion', () => {
+    const sectionFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home') },
+      'about.md': { contents: Buffer.from('# About') },
+      'blog/index.md': { contents: Buffer.from('# Blog'), navigation: { navExclude: 'tree' } },
+      'blog/post1.md': { contents: Buffer.from('# Post 1'), navigation: { navLabel: 'First Post' } },
+      'blog/2024/post2.md': { contents: Buffer.from('# Post 2') },
+      'archive.md': { contents: Buffer.from('# Archive'), navExclude: 'tree' },
+      'archive/old.md': { contents: Buffer.from('# Old') }
+    });
+    
+    it('should remove a page and all its descendants', (done) => {
+      const files = sectionFiles();
+      const metadata = {};
+
+      autonav()(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          expect(Object.keys(metadata.nav)).to.deep.equal(['home', 'about']);
+          expect(metadata.navByPath).to.not.have.property('/blog/post1/');
+          expect(files['blog/post1.md'].navigation).to.not.have.property('parent');
+          expect(files['blog/2024/post2.md']).to.not.have.property('breadcrumb');
+          expect(files['about.md'].navigation.siblings.map(item => item.title)).to.deep.equal(['Home', 'About']);
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should keep breadcrumbs and page context of excluded sections on request', (done) => {
+      const files = sectionFiles();
+      const metadata = {};
+
+      autonav({ keepExcludedInContext: true })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // Still left out of the menus and lookups
+          expect(Object.keys(metadata.nav)).to.deep.equal(['home', 'about']);
+          expect(metadata.navByPath).to.not.have.property('/blog/');
+          expect(files['blog/post1.md'].navigation).to.not.have.property('next');
+          
+          expect(files['blog/post1.md'].breadcrumb.map(item => item.title))
+            .to.deep.equal(['Home', 'Blog', 'First Post']);
+          expect(files['blog/post1.md'].navigation.parent).to.include({ title: 'Blog', path: '/blog/' });
+          expect(files['blog/index.md'].navigation.children.map(item => item.key))
+            .to.have.members(['post1', '2024']);
+          expect(files['archive.md'].breadcrumb.map(item => item.path)).to.deep.equal(['/', '/archive/']);
+          expect(files['archive/old.md'].navigation.parent.title).to.equal('Archive');
+          
+          // Pages outside the excluded sections don't see them
+          expect(files['about.md'].navigation.siblings.map(item => item.title)).to.deep.equal(['Home', 'About']);
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Hidden and Excluded Pages', () => {
+    const flaggedFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home') },
+      'about.md': { contents: Buffer.from('# About'), navigation: { navIndex: 1 } },
+      'thanks.md': { contents: Buffer.from('# Thanks'), navigation: { navIndex: 2, navHidden: true } },
+      'contact.md': { contents: Buffer.from('# Contact'), navigation: { navIndex: 3 } },
+      'secret.md': { contents: Buffer.from('# Secret'), navigation: { navExclude: true } },
+      'legacy.md': { contents: Buffer.from('# Legacy'), navExclude: true },
+      'docs/index.md': { contents: Buffer.from('# Docs'), navigation: { navIndex: 4 } },
+      'docs/internal/index.md': { contents: Buffer.from('# Internal'), navHidden: true },
+      'docs/internal/notes.md': { contents: Buffer.from('# Notes') }
+    });
+    
+    it('should keep hidden pages out of menus only', (done) => {
+      const files = flaggedFiles();
+      const metadata = {};
+
+      autonav({
+        siteUrl: 'https://example.com',
+        sitemap: true,
+        activeNav: true,
+        renderHtml: true,
+        navJson: true,
+        sectionMenus: { '/docs/': 'docsMenu' }
+      })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          // Out of published trees, section menus, views, HTML and JSON
+          expect(metadata.nav).to.not.have.property('thanks');
+          expect(metadata.nav.docs).to.include({ hasChildren: false, childCount: 0 });
+          expect(metadata.docsMenu).to.deep.equal({});
+          expect(files['about.md'].navigation.nav).to.not.have.property('thanks');
+          expect(files['about.md'].navigation.html).to.not.include('Thanks');
+          expect(files['about.md'].navigation.siblings.map(item => item.key)).to.not.include('thanks');
+          expect(files['nav/main.json'].contents.toString()).to.not.include('Thanks');
+          
+          // Still in lookups, breadcrumbs, reading order and the sitemap
+          expect(metadata.navByPath['/thanks/']).to.include({ hidden: true, title: 'Thanks' });
+          expect(files['thanks.md'].breadcrumb.map(item => item.title)).to.deep.equal(['Home', 'Thanks']);
+          expect(files['docs/internal/notes.md'].breadcrumb.map(item => item.title))
+            .to.deep.equal(['Home', 'Docs', 'Internal', 'Notes']);
+          expect(files['about.md'].navigation.next.path).to.equal('/thanks/');
+          expect(files['contact.md'].navigation.prev.path).to.equal('/thanks/');
+          expect(files['sitemap.xml'].contents.toString()).to.include('https://example.com/thanks/');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should leave excluded pages out of everything, wherever the flag is set', (done) => {
+      const files = flaggedFiles();
+      const metadata = {};
+
+      autonav({ siteUrl: 'https://example.com', sitemap: true, breadcrumbJsonLd: true })(files, createMetalsmithMock(metadata), (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          ['secret.md', 'legacy.md'].forEach(filePath => {
+            const file = files[filePath];
+            expect(file).to.not.have.property('breadcrumb');
+            expect(file.navigation || {}).to.not.have.any.keys('breadcrumb', 'breadcrumbJsonLd', 'parent', 'prev', 'next');
+          });
+          expect(metadata.navByPath).to.not.have.any.keys('/secret/', '/legacy/');
+          expect(files['sitemap.xml'].contents.toString()).to.not.include('/secret/');
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+  });
+
+  describe('Include and Exclude Patterns', () => {
+    const patternFiles = () => ({
+      'index.md': { contents: Buffer.from('# Home') },
+      'about.md': { contents: Buffer.from('# About') },
+      '404.md': { contents: Buffer.from('# Not Found') },
+      '.draft.md': { contents: Buffer.from('# Hidden File') },
+      '_header.md': { contents: Buffer.from('# Header Partial') },
+      'docs/_partials/note.md': { contents: Buffer.from('# Note Partial') },
+      'docs/_index.md': { contents: Buffer.from('# Docs') },
+      'docs/setup.md': { contents: Buffer.from('# Setup') },
+      'drafts/idea.md': { contents: Buffer.from('# Idea') }
+    });
+    
+    // A real Metalsmith instance provides metalsmith.match
+    const createMetalsmith = () => metalsmith(__dirname).metadata({});
+
+    it('should leave out 404 pages, dotfiles and underscore-prefixed partials by default', (done) => {
+      const files = patternFiles();
+      const ms = createMetalsmith();
+
+      autonav({ indexFiles: ['_index', 'index'] })(files, ms, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const nav = ms.metadata().nav;
+          expect(Object.keys(nav)).to.have.members(['home', 'about', 'docs', 'drafts']);
+          expect(Object.keys(nav.docs.children)).to.deep.equal(['setup']);
+          
+          // Hugo-style _index pages are not partials
+          expect(nav.docs.title).to.equal('Docs');
+          expect(nav.docs).to.not.have.property('virtual');
+          
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+    });
+
+    it('should apply custom include and exclude patterns together with pathFilter', (done) => {
+      const files = patternFiles();
+      const ms = createMetalsmith();
+
+      autonav({
+        include: ['**/*.md'],
+        exclude: 'drafts/**',
+        pathFilter: (filePath) => filePath !== 'about.md'
+      })(files, ms, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const nav = ms.metadata().nav;
+          expect(nav).to.include.keys('404', '_header');
+          expect(nav).to.not.have.any.keys('drafts', 'about');
+        } catch (error) {
+          return done(error);
+        }
+        
+        const included = patternFiles();
+        const docsOnly = createMetalsmith();
+        
+        autonav({ include: 'docs/*.md' })(included, docsOnly, (docsErr) => {
+          if (docsErr) {
+            return done(docsErr);
+          }
+          
+          try {
+            expect(Object.keys(docsOnly.metadata().nav)).to.deep.equal(['docs']);
+            // Custom patterns replace the defaults, and _index isn't a landing page here
+            expect(Object.keys(docsOnly.metadata().nav.docs.children)).to.deep.equal(['_index', 'setup']);
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+      });
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,299 @@
+import type { File, Plugin } from 'metalsmith';
+
+/** Creates hierarchical navigation trees and breadcrumb paths from file structure */
+declare function autonav(options?: autonav.NavOptions | autonav.ConfiguredNavOptions): Plugin;
+
+/**
+ * `require('metalsmith-autonav')` returns the plugin function itself, with the
+ * helpers as its properties; index.d.ts re-exports these for `import`
+ */
+declare namespace autonav {
+  /** A node of a navigation tree */
+  export interface NavNode {
+    title: string;
+    /** null for directories without an index page with `virtualNodes: 'noLink'` */
+    path: string | null;
+    url?: string;
+    index?: number;
+    key?: string;
+    depth?: number;
+    parentPath?: string | null;
+    hasChildren?: boolean;
+    childCount?: number;
+    descendantCount?: number;
+    external?: boolean;
+    target?: string;
+    rel?: string;
+    manual?: boolean;
+    draft?: boolean;
+    hidden?: boolean;
+    virtual?: boolean;
+    children: NavTree;
+    [property: string]: unknown;
+  }
+
+  /** A navigation tree level in the 'object' shape (the default) or the 'array' shape */
+  export type NavTree = { [key: string]: NavNode } | NavNode[];
+
+  /** Where a node sits in the tree, passed to callbacks of the tree helpers */
+  export interface NodeContext {
+    /** The node's key in its level */
+    key: string;
+    /** Keys from the top of the tree down to the node, joined with '/' */
+    keyPath: string;
+    /** Depth of the node (0 for top-level nodes) */
+    depth: number;
+    /** The parent node, or null at the top level */
+    parent: NavNode | null;
+  }
+
+  /** A node path (e.g. '/blog/post1/'), key path (e.g. 'blog/post1') or predicate */
+  export type NodeQuery = string | ((node: NavNode, context: NodeContext) => boolean);
+
+  /** A manually defined navigation item, see the `items` option */
+  export interface NavItem {
+    /** Display name */
+    title: string;
+    /** A site path starting with / (the basePath is added) or an external URL */
+    url: string;
+    /** Sort position, like navIndex on pages */
+    index?: number;
+    /** Path or key path of the parent node; top level if omitted */
+    parent?: string;
+    /** Key of the node (defaults to the title as a slug) */
+    key?: string;
+    /** Whether the link leaves the site (defaults to true for URLs that don't start with /) */
+    external?: boolean;
+    target?: string;
+    rel?: string;
+  }
+
+  /** Options of the `sitemap` option */
+  export interface SitemapOptions {
+    /** Path of the sitemap file (default 'sitemap.xml') */
+    path?: string;
+    /** File properties read for each entry */
+    lastmodKey?: string;
+    changefreqKey?: string;
+    priorityKey?: string;
+    noindexKey?: string;
+    /** Defaults for pages without their own values */
+    changefreq?: string | null;
+    priority?: number | null;
+    /** Number of URLs per sitemap file before a sitemap index is written (0 for no limit) */
+    limit?: number;
+  }
+
+  /** Options of the `navJson` option */
+  export interface NavJsonOptions {
+    /** Directory of the JSON files (default 'nav') */
+    dir?: string;
+    /** Write the children of each top-level node into their own file */
+    shard?: boolean;
+  }
+
+  /** Options of the `landingPages` option */
+  export interface LandingPageOptions {
+    /** Layout of the generated pages */
+    layout?: string | null;
+    /** Contents of the pages, or a function returning them */
+    contents?: string | ((node: NavNode, dirPath: string) => string);
+    /** Directory paths that get a page, or a function returning true for them */
+    filter?: string[] | ((dirPath: string, node: NavNode) => boolean) | null;
+  }
+
+  /** Navigation options, see the README for the defaults */
+  export interface NavOptions {
+    /** Key in metalsmith metadata for the navigation object */
+    navKey?: string;
+    /** File property holding the page's navigation frontmatter and context */
+    navigationObjectKey?: string;
+    /** Frontmatter property to override the default filename-based label, or a function for custom labels */
+    navLabelKey?: string | ((file: File, filePath: string, filename: string) => string);
+    /** File property that defines a page's position in navigation */
+    navIndexKey?: string;
+    /** File property to exclude a page from navigation, or with the value 'tree' the page and all its descendants */
+    navExcludeKey?: string;
+    /** File property to leave a page out of menus while keeping it in breadcrumbs, lookups, reading order and the sitemap */
+    navHiddenKey?: string;
+    /** Give pages in sections excluded with `navExclude: 'tree'` breadcrumbs and page context */
+    keepExcludedInContext?: boolean;
+    /** Key in file metadata for the breadcrumb path array */
+    breadcrumbKey?: string;
+    /** Frontmatter property (in the navigation object) naming the path or key path of a page's parent */
+    navParentKey?: string;
+    /** Key in the file's navigation object for the page's parent node */
+    parentKey?: string;
+    /** Key in the file's navigation object for the page's sibling nodes */
+    siblingsKey?: string;
+    /** Key in the file's navigation object for the page's child nodes */
+    childrenKey?: string;
+    /** Key in the file's navigation object for the previous page in reading order */
+    prevKey?: string;
+    /** Key in the file's navigation object for the next page in reading order */
+    nextKey?: string;
+    /** Key in the file's navigation object for the page's reading position */
+    positionKey?: string;
+    /** Reading order across the whole site or within the page's top-level section */
+    prevNextScope?: 'site' | 'section';
+    /** Metadata key for the path lookup map (defaults to `${navKey}ByPath`) */
+    navByPathKey?: string | null;
+    /** Metadata key for the key path lookup map (defaults to `${navKey}ByKey`) */
+    navByKeyKey?: string | null;
+    /** Add schema.org BreadcrumbList JSON-LD to each file, or 'inject' to also add it to the <head> of the contents */
+    breadcrumbJsonLd?: boolean | 'inject';
+    /** Key in the file's navigation object for the breadcrumb JSON-LD */
+    breadcrumbJsonLdKey?: string;
+    /** Write sitemap.xml from the navigation tree (requires siteUrl) */
+    sitemap?: boolean | SitemapOptions;
+    /** Write each tree as JSON into the files object */
+    navJson?: boolean | NavJsonOptions;
+    /** Metadata key listing the written JSON files with their hashes */
+    navJsonFilesKey?: string;
+    /** Add a per-page view of the navigation with active state, or 'accordion' to only expand the active branch */
+    activeNav?: boolean | 'accordion';
+    /** Key in the file's navigation object for the per-page view of the navigation */
+    activeNavKey?: string;
+    /** Render navigation and breadcrumb HTML to each file, with optional render options */
+    renderHtml?: boolean | { nav?: RenderOptions; breadcrumb?: RenderOptions };
+    /** Key in the file's navigation object for the rendered navigation HTML */
+    htmlKey?: string;
+    /** Key in the file's navigation object for the rendered breadcrumb HTML */
+    breadcrumbHtmlKey?: string;
+    /** Manually defined nav items, or the path of a JSON file in the files object that holds them */
+    items?: NavItem[] | string | null;
+    /** Create the missing index.html of directories without an index page */
+    landingPages?: boolean | LandingPageOptions;
+    /** File property marking a page as a draft (left out of navigation unless previewing) */
+    draftKey?: string;
+    /** File property with the date before which a page is left out of navigation */
+    publishDateKey?: string;
+    /** File property with the date from which a page is left out of navigation */
+    expiryDateKey?: string;
+    /** Reference date for publish and expiry dates (defaults to the time of the build) */
+    buildDate?: Date | string | null;
+    /** Keep drafts in the navigation, with `draft: true` on their nodes */
+    preview?: boolean;
+    /** Number of levels of published trees, section menus and rendered navigation (all by default) */
+    maxDepth?: number | null;
+    /** Merge directories without an index page that have a single child into that child */
+    collapseSingleChild?: boolean;
+    /** How to link directories without an index page */
+    virtualNodes?: 'directory' | 'firstChild' | 'noLink' | 'omit';
+    /** Include home page in breadcrumb */
+    navHomePage?: boolean;
+    /** Label for home page in breadcrumb */
+    navHomeLabel?: string;
+    /** Property to sort navigation items by */
+    sortBy?: string;
+    /** Reverse sort order */
+    sortReverse?: boolean;
+    /** Custom function to filter file paths */
+    pathFilter?: ((filePath: string, file: File) => boolean) | null;
+    /** Glob patterns of files to include in navigation (all files by default) */
+    include?: string | string[] | null;
+    /** Glob patterns of files to leave out of navigation (404 pages, dotfiles and underscore-prefixed partials by default) */
+    exclude?: string | string[];
+    /** Whether to use permalink-style paths (/about/ instead of /about.html) */
+    usePermalinks?: boolean;
+    /** Custom function returning the URL path for a file (null for directory nodes); anything but a string falls back to the default */
+    urlBuilder?: ((filePath: string, file: File | null, options: NavOptions) => string | undefined) | null;
+    /** Build the hierarchy and paths from each file's permalink instead of its source path */
+    buildFromPermalinks?: boolean;
+    /** File property holding the permalink when `buildFromPermalinks` is enabled */
+    permalinkKey?: string;
+    /** Output shape of published trees */
+    shape?: 'object' | 'array' | 'flat';
+    /** Custom function that transforms each published node; a falsy return value removes the node and its descendants */
+    mapNode?: ((
+      node: NavNode,
+      context: { key: string; depth: number; parentPath: string | null; shape: 'object' | 'array' | 'flat' }
+    ) => NavNode | null | undefined | false) | null;
+    /** File names that act as a directory's landing page, in priority order */
+    indexFiles?: string[];
+    /** Map of page source extensions to their output extension (e.g. { '.njk': '.html' }) */
+    extensions?: { [sourceExtension: string]: string };
+    /** Path prefix for sites served from a sub-directory (e.g. '/project-name/') */
+    basePath?: string;
+    /** Site origin used to add an absolute `url` to every navigation and breadcrumb item */
+    siteUrl?: string;
+    /** Section paths mapped to the metadata keys of their menus */
+    sectionMenus?: { [sectionPath: string]: string } | null;
+  }
+
+  /** Multiple named navigation configurations */
+  export interface ConfiguredNavOptions {
+    configs?: { [name: string]: NavOptions };
+    options?: NavOptions;
+    sectionMenus?: { [sectionPath: string]: string };
+  }
+
+  /** Visit every node depth-first, parents first. Return false to skip a node's children. */
+  export function walk(tree: NavTree, visitor: (node: NavNode, context: NodeContext) => boolean | void): void;
+
+  /** Find the first node matching a path, key path or predicate */
+  export function findNode(tree: NavTree, query: NodeQuery): NavNode | null;
+
+  /** Get the ancestors of a node, from the top of the tree down to its parent */
+  export function getAncestors(tree: NavTree, target: NavNode | NodeQuery): NavNode[];
+
+  /** Get every node below a node, depth-first */
+  export function getDescendants(tree: NavTree, target: NavNode | NodeQuery): NavNode[];
+
+  /** List every node of the tree depth-first */
+  export function flatten(tree: NavTree): NavNode[];
+
+  /** Build a new tree, in the input's shape, by transforming every node */
+  export function mapTree<T extends NavTree>(
+    tree: T,
+    fn: (node: NavNode, context: NodeContext) => Partial<NavNode> & { [property: string]: unknown }
+  ): T;
+
+  /** Build a new tree, in the input's shape, with only the nodes that pass a predicate */
+  export function filterTree<T extends NavTree>(tree: T, predicate: (node: NavNode, context: NodeContext) => boolean): T;
+
+  /** Class names used by the HTML renderer */
+  export interface RenderClassNames {
+    nav?: string;
+    list?: string;
+    item?: string;
+    link?: string;
+    current?: string;
+  }
+
+  /** Passed to a custom renderItem function */
+  export interface RenderContext {
+    /** Depth of the item (0 for top-level items) */
+    depth: number;
+    /** Whether the item is the current page */
+    isCurrent: boolean;
+    /** Rendered HTML of the item's children ('' if none) */
+    children: string;
+    classNames: RenderClassNames;
+    escape: (value: unknown) => string;
+  }
+
+  /** Options of the HTML renderer */
+  export interface RenderOptions {
+    /** Path of the current page, marked with aria-current="page" */
+    currentPath?: string;
+    /** aria-label of the <nav> landmark */
+    label?: string;
+    /** Number of levels to render */
+    maxDepth?: number;
+    classNames?: RenderClassNames;
+    /** Returns the HTML of one <li> */
+    renderItem?: (item: NavNode | { title: string; path: string }, context: RenderContext) => string;
+  }
+
+  /** Render a navigation tree or section menu as nested lists in a <nav> landmark */
+  export function renderNav(tree: NavTree, options?: RenderOptions): string;
+
+  /** Render a breadcrumb trail as an ordered list in a <nav> landmark */
+  export function renderBreadcrumb(breadcrumb: Array<{ title: string; path: string }>, options?: RenderOptions): string;
+
+  /** Escape a value for use in HTML text and attribute values */
+  export function escapeHtml(value: unknown): string;
+}
+
+export = autonav;
@@ -0,0 +1,29 @@
+import autonav from './index.cjs';
+
+/** Creates hierarchical navigation trees and breadcrumb paths from file structure */
+export default autonav;
+
+export type NavNode = autonav.NavNode;
+export type NavTree = autonav.NavTree;
+export type NodeContext = autonav.NodeContext;
+export type NodeQuery = autonav.NodeQuery;
+export type NavItem = autonav.NavItem;
+export type SitemapOptions = autonav.SitemapOptions;
+export type NavJsonOptions = autonav.NavJsonOptions;
+export type LandingPageOptions = autonav.LandingPageOptions;
+export type NavOptions = autonav.NavOptions;
+export type ConfiguredNavOptions = autonav.ConfiguredNavOptions;
+export type RenderClassNames = autonav.RenderClassNames;
+export type RenderContext = autonav.RenderContext;
+export type RenderOptions = autonav.RenderOptions;
+
+export declare const walk: typeof autonav.walk;
+export declare const findNode: typeof autonav.findNode;
+export declare const getAncestors: typeof autonav.getAncestors;
+export declare const getDescendants: typeof autonav.getDescendants;
+export declare const flatten: typeof autonav.flatten;
+export declare const mapTree: typeof autonav.mapTree;
+export declare const filterTree: typeof autonav.filterTree;
+export declare const renderNav: typeof autonav.renderNav;
+export declare const renderBreadcrumb: typeof autonav.renderBreadcrumb;
+export declare const escapeHtml: typeof autonav.escapeHtml;